@@ -15,6 +15,10 @@ const BLACK = 3;
 const RED = 4;
 const GREEN = 5;
 
+// Packs go around the eight seats of a draft table, so each pack comes back
+// to us eight picks after we first saw it
+const DRAFT_TABLE_SIZE = 8;
+
 const math = require("mathjs");
 math.config({ precision: 2000 });
 
@@ -716,6 +720,7 @@ function addCardTile(grpId, indent, quantity, element) {
         createDivision(["card_tile_odds", col], `<span>${quantity}</span>`)
       );
     } else if (quantity == 9999) {
+      // Opponent cards of matches saved before their copies were counted
       quantity = 1;
       ww = 32;
       ll = 17;
@@ -1394,8 +1399,111 @@ class SetStats {
   }
 }
 
+// Slots of each rarity in a booster; one in eight rare slots is a mythic
+const BOOSTER_CARDS = { common: 5, uncommon: 2, rare: 7 / 8, mythic: 1 / 8 };
+// Odds of one of those slots being a wildcard instead of a card
+const BOOSTER_WILDCARDS = {
+  common: 1 / 3,
+  uncommon: 1 / 5,
+  rare: 1 / 24,
+  mythic: 1 / 24
+};
+const BOOSTER_GOLD = 1000;
+// The wildcard track gives an uncommon wildcard every six boosters and a
+// rare one three boosters later, a mythic instead of every fifth rare
+const WC_TRACK_LENGTH = 30;
+// Vault progress, in percent, of each duplicate common and uncommon, and
+// the wildcards we get when it reaches 100%
+const VAULT_PROGRESS = { common: 0.1, uncommon: 0.3 };
+const VAULT_WILDCARDS = { uncommon: 3, rare: 2, mythic: 1 };
+const FORECAST_MAX_BOOSTERS = 5000;
+
+//
+class SetForecast {
+  constructor() {
+    this.boosters = 0;
+    this.vaults = 0;
+    // when it gave up at FORECAST_MAX_BOOSTERS
+    this.capped = false;
+    this.wildcards = { common: 0, uncommon: 0, rare: 0, mythic: 0 };
+  }
+
+  get gold() {
+    return this.boosters * BOOSTER_GOLD;
+  }
+}
+
+// Forecasts the boosters it takes to complete a set to playsets, opening
+// them until the wildcards we have and the ones they give cover what is
+// still missing, and the wildcards to craft after that. It goes by expected
+// values: duplicate protection makes every rare and mythic opened a new
+// one, while commons and uncommons are new as often as copies are missing
+// and the duplicates fill the vault.
+function get_set_forecast(setStats, economy) {
+  const rarities = ["common", "uncommon", "rare", "mythic"];
+  const forecast = new SetForecast();
+  const missing = {};
+  rarities.forEach(rarity => {
+    missing[rarity] = setStats[rarity].total - setStats[rarity].owned;
+  });
+  const wildcards = {
+    common: economy.wcCommon || 0,
+    uncommon: economy.wcUncommon || 0,
+    rare: economy.wcRare || 0,
+    mythic: economy.wcMythic || 0
+  };
+  let vault = economy.vault || 0;
+  let track = economy.wcTrack || 0;
+
+  // cards opened, without the slots that turn out to be wildcards
+  const opened = {};
+  rarities.forEach(rarity => {
+    opened[rarity] = BOOSTER_CARDS[rarity] - BOOSTER_WILDCARDS[rarity];
+  });
+
+  const covered = () =>
+    rarities.every(rarity => Math.round(missing[rarity]) <= wildcards[rarity]);
+  while (!covered()) {
+    if (forecast.boosters >= FORECAST_MAX_BOOSTERS) {
+      forecast.capped = true;
+      break;
+    }
+    forecast.boosters++;
+    ["common", "uncommon"].forEach(rarity => {
+      const total = setStats[rarity].total;
+      const added = total ? (opened[rarity] * missing[rarity]) / total : 0;
+      missing[rarity] -= added;
+      vault += (opened[rarity] - added) * VAULT_PROGRESS[rarity];
+    });
+    ["rare", "mythic"].forEach(rarity => {
+      missing[rarity] = Math.max(0, missing[rarity] - opened[rarity]);
+    });
+    rarities.forEach(rarity => {
+      wildcards[rarity] += BOOSTER_WILDCARDS[rarity];
+    });
+
+    track = (track + 1) % WC_TRACK_LENGTH;
+    if (track == 0) wildcards.mythic++;
+    else if (track % 6 == 0) wildcards.rare++;
+    else if (track % 6 == 3) wildcards.uncommon++;
+
+    if (vault >= 100) {
+      vault -= 100;
+      forecast.vaults++;
+      Object.keys(VAULT_WILDCARDS).forEach(rarity => {
+        wildcards[rarity] += VAULT_WILDCARDS[rarity];
+      });
+    }
+  }
+
+  rarities.forEach(rarity => {
+    forecast.wildcards[rarity] = Math.round(missing[rarity]);
+  });
+  return forecast;
+}
+
 //
-function get_collection_stats() {
+function get_collection_stats(economy = null) {
   const stats = {
     complete: new SetStats("complete"),
     singles: new SetStats("singles")
@@ -1432,6 +1540,15 @@ function get_collection_stats() {
     }
   });
 
+  // only sets still sold in boosters get a forecast
+  if (economy) {
+    for (let set in setsList) {
+      if (setsList[set].collation) {
+        stats[set].forecast = get_set_forecast(stats[set], economy);
+      }
+    }
+  }
+
   return stats;
 }
 
@@ -1612,6 +1729,18 @@ function get_ids_colors(list) {
   return colors;
 }
 
+// Our own rating of a card from ratings (by set and card name) when we gave
+// it one, the built in rank otherwise
+function getCardDraftRating(grpId, ratings) {
+  let card = cardsDb.get(grpId);
+  if (!card) return 0;
+  let setRatings = ratings[card.set];
+  if (setRatings && setRatings[card.name] !== undefined) {
+    return setRatings[card.name];
+  }
+  return card.rank || 0;
+}
+
 //
 function add_deck_colors(colors, deck) {
   var cols = [0, 0, 0, 0, 0, 0];
@@ -1696,9 +1825,9 @@ function get_wc_missing(grpid, quantity) {
     quantity = 4;
   }
 
-  let arr = card.reprints;
-  if (!arr) arr = [grpid];
-  else arr.push(grpid);
+  // copy the reprints, pushing to them would count this printing again on
+  // every call
+  let arr = card.reprints ? card.reprints.concat([grpid]) : [grpid];
 
   let have = 0;
   arr.forEach(id => {
@@ -2269,6 +2398,85 @@ function niceDateFormat(date) {
   return `<relative-time datetime="${date.toISOString()}">${date.toString()}</relative-time>`;
 }
 
+//
+function actionLogGenerateLink(grpId) {
+  var card = cardsDb.get(grpId);
+  if (!card) return "a card";
+  return (
+    '<a class="card_link click-on" href="' + grpId + '">' + card.name + "</a>"
+  );
+}
+
+// Renders a structured action log event as html, getName(seat) should
+// return the name of the player on that seat.
+function actionLogEventToHtml(event, getName) {
+  let card = actionLogGenerateLink(event.grpId);
+  let target =
+    event.targetGrpId !== undefined
+      ? actionLogGenerateLink(event.targetGrpId)
+      : getName(event.targetSeat);
+
+  switch (event.type) {
+    case "turn":
+      return getName(event.targetSeat) + "'s turn begin. (#" + event.turn + ")";
+    case "cast":
+      return getName(event.seat) + " casted " + card;
+    case "resolve":
+      return getName(event.seat) + " resolved " + card;
+    case "play_land":
+      return getName(event.seat) + " played " + card;
+    case "draw":
+      return getName(event.seat) + " drew a card";
+    case "counter":
+      return card + " countered " + target;
+    case "destroy":
+      return card + " destroyed " + target;
+    case "zone_transfer":
+      return card + " moved to " + event.zone;
+    case "attack":
+      return card + " attacked " + target;
+    case "block":
+      return card + " blocked " + target;
+    case "damage":
+      return card + " dealt " + event.amount + " damage to " + target;
+    case "ability": {
+      let ability = cardsDb.getAbility(event.abilityId);
+      let source = cardsDb.get(event.grpId);
+      if (ability && source) {
+        ability = replaceAll(ability, "CARDNAME", source.name);
+      }
+      return (
+        card +
+        '\'s <a class="card_ability click-on" title="' +
+        ability +
+        '">ability</a>'
+      );
+    }
+    case "life":
+      return (
+        getName(event.seat) +
+        "'s life changed to " +
+        event.life +
+        " (" +
+        (event.amount > 0 ? "+" : "") +
+        event.amount +
+        ")"
+      );
+    case "game_result":
+      if (event.result == "draw") return "The game is a draw!";
+      if (event.result == "win") return getName(event.targetSeat) + " wins!";
+      if (event.result == "concede") {
+        return getName(event.targetSeat) + " conceded.";
+      }
+      if (event.result == "timeout") {
+        return getName(event.targetSeat) + " timed out.";
+      }
+      return "Game ended in a loop.";
+    default:
+      return "";
+  }
+}
+
 //
 function replaceAll(str, find, replace) {
   return str.replace(new RegExp(find, "g"), replace);
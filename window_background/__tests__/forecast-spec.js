@@ -0,0 +1,78 @@
+/* eslint-env jest */
+// Tests for get_set_forecast, with shared/util.js loaded on its own.
+const vm = require("vm");
+const { loadUtil } = require("../headless-background");
+const { quietConsole } = require("../test-helpers");
+
+// A small set, 5 commons, 2 uncommons, 2 rares and a mythic, with the
+// copies we own of each rarity
+function setStats(owned) {
+  const totals = { common: 20, uncommon: 8, rare: 8, mythic: 4 };
+  const stats = {};
+  Object.keys(totals).forEach(rarity => {
+    stats[rarity] = {
+      total: totals[rarity],
+      owned: owned[rarity] === undefined ? totals[rarity] : owned[rarity]
+    };
+  });
+  return stats;
+}
+
+describe("get_set_forecast", () => {
+  let util;
+
+  beforeAll(() => {
+    util = loadUtil({ console: quietConsole });
+  });
+
+  it("needs nothing for a complete set", () => {
+    const forecast = util.get_set_forecast(setStats({}), {});
+    expect(forecast.boosters).toEqual(0);
+    expect(forecast.gold).toEqual(0);
+    expect(forecast.wildcards).toEqual({
+      common: 0,
+      uncommon: 0,
+      rare: 0,
+      mythic: 0
+    });
+  });
+
+  it("crafts the missing cards when the wildcards we have cover them", () => {
+    const forecast = util.get_set_forecast(setStats({ rare: 6, mythic: 3 }), {
+      wcRare: 2,
+      wcMythic: 1
+    });
+    expect(forecast.boosters).toEqual(0);
+    expect(forecast.wildcards.rare).toEqual(2);
+    expect(forecast.wildcards.mythic).toEqual(1);
+  });
+
+  it("does not count the wildcard slots as cards opened", () => {
+    // 1/8 - 1/24 new mythics and 1/24 mythic wildcards per booster, and
+    // the wildcard we have: 24 boosters leave 2 to craft with 2 wildcards
+    const forecast = util.get_set_forecast(setStats({ mythic: 0 }), {
+      wcMythic: 1
+    });
+    expect(forecast.boosters).toEqual(24);
+    expect(forecast.gold).toEqual(24000);
+    expect(forecast.wildcards.mythic).toEqual(2);
+    expect(forecast.capped).toEqual(false);
+  });
+
+  it("counts the rare wildcard of the wildcard track", () => {
+    // 5/6 new rares per booster, the sixth booster gives a rare wildcard
+    const forecast = util.get_set_forecast(setStats({ rare: 0 }), {});
+    expect(forecast.boosters).toEqual(8);
+    expect(forecast.wildcards.rare).toEqual(1);
+  });
+
+  it("stops at FORECAST_MAX_BOOSTERS and says so", () => {
+    const stats = setStats({});
+    stats.mythic = { total: 100000, owned: 0 };
+    const forecast = util.get_set_forecast(stats, {});
+    expect(forecast.capped).toEqual(true);
+    expect(forecast.boosters).toEqual(
+      vm.runInContext("FORECAST_MAX_BOOSTERS", util)
+    );
+  });
+});
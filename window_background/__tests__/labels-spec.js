@@ -0,0 +1,99 @@
+/* eslint-env jest */
+// Golden file tests for the label handlers. Every fixtures/<name>.log is run
+// through the background scripts the same way the log watcher does, and the
+// resulting state is compared with fixtures/<name>.json.
+//
+// After an intended behaviour change, refresh the golden files with
+//   UPDATE_GOLDEN=1 npm test -- window_background/__tests__/labels-spec.js
+// and review the diff like any other change.
+process.env.TZ = "UTC";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ArenaLogDecoder = require("../arena-log-decoder");
+const { loadBackground } = require("../headless-background");
+const { quietConsole, removeDir } = require("../test-helpers");
+
+const fixturesDir = path.join(__dirname, "fixtures");
+const now = "2019-01-23T21:00:00.000Z";
+
+function runFixture(name, userDataPath) {
+  const background = loadBackground({
+    userDataPath,
+    console: quietConsole,
+    now
+  });
+  // Behave like entries read live, after the initial log pass
+  background.firstPass = false;
+
+  const storeWrites = [];
+  const store = background.store;
+  const set = store.set.bind(store);
+  store.set = (key, value) => {
+    storeWrites.push({ set: key, value });
+    set(key, value);
+  };
+  const remove = store.delete.bind(store);
+  store.delete = key => {
+    storeWrites.push({ delete: key });
+    remove(key);
+  };
+
+  // Some handlers only tell the windows what they read, without storing it
+  const messages = [];
+  background.ipc_send = (method, ...args) => {
+    messages.push({ send: method, args });
+  };
+
+  const text = fs.readFileSync(path.join(fixturesDir, name + ".log"), "utf-8");
+  background.processLogUser(text);
+  const decoder = new ArenaLogDecoder();
+  decoder.append(text, entry =>
+    background.onLogEntryFound({ ...entry, size: text.length })
+  );
+
+  // Round trip through JSON, since that is what is stored on disk
+  return JSON.parse(
+    JSON.stringify({
+      currentMatch: background.currentMatch,
+      currentDraft: background.currentDraft,
+      economy: background.economy,
+      storeWrites,
+      messages
+    })
+  );
+}
+
+const fixtures = fs
+  .readdirSync(fixturesDir)
+  .filter(file => file.endsWith(".log"))
+  .map(file => path.basename(file, ".log"));
+
+describe("labels", () => {
+  let userDataPath;
+
+  beforeEach(() => {
+    userDataPath = fs.mkdtempSync(path.join(os.tmpdir(), "mtga-labels-"));
+  });
+
+  afterEach(() => removeDir(userDataPath));
+
+  fixtures.forEach(name => {
+    it(`matches the golden file for ${name}.log`, () => {
+      const result = runFixture(name, userDataPath);
+      const goldenFile = path.join(fixturesDir, name + ".json");
+
+      if (process.env.UPDATE_GOLDEN) {
+        fs.writeFileSync(goldenFile, JSON.stringify(result, null, 2) + "\n");
+      } else if (!fs.existsSync(goldenFile)) {
+        throw new Error(
+          `Missing golden file ${goldenFile}, run the tests with ` +
+            "UPDATE_GOLDEN=1 to create it"
+        );
+      }
+      const golden = JSON.parse(fs.readFileSync(goldenFile, "utf-8"));
+      expect(result).toEqual(golden);
+    });
+  });
+});
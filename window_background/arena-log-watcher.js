@@ -1,6 +1,7 @@
 const fs = require("fs");
 const { promisify } = require("util");
 const { StringDecoder } = require("string_decoder");
+const { join: pathJoin } = require("path");
 const queue = require("queue");
 const ArenaLogDecoder = require("./arena-log-decoder");
 
@@ -8,6 +9,7 @@ const fsAsync = {
   close: promisify(fs.close),
   open: promisify(fs.open),
   read: promisify(fs.read),
+  readdir: promisify(fs.readdir),
   stat: promisify(fs.stat)
 };
 
@@ -65,6 +67,178 @@ function start({ path, chunkSize, onLogEntry, onError, onFinish }) {
   }
 }
 
+// Feeds saved log files (or every log inside a folder) through the decoder
+// without watching them. Files are read a chunk at a time as the entries
+// of the chunk before run out, so a folder of logs is never held in memory
+// at once. Entries are dispatched one at a time, waiting `speed`
+// milliseconds between them, and the returned controller can pause, step
+// or run ahead until an entry with a given label is found.
+function replay({
+  paths,
+  chunkSize,
+  speed,
+  until,
+  onLogEntry,
+  onError,
+  onFinish
+}) {
+  const batchSize = 100;
+  let files = null;
+  let file = null;
+  let entries = [];
+  let index = 0;
+  let delay = speed || 0;
+  let untilLabel = until || "";
+  let paused = false;
+  let stopped = false;
+  let busy = false;
+  let handle = null;
+
+  schedule();
+  return { pause, resume, step, setSpeed, runUntil, stop };
+
+  // Decodes chunks until there are entries to dispatch; false once every
+  // file has been read
+  async function fill() {
+    if (!files) files = await listFiles(paths);
+    while (index >= entries.length) {
+      if (stopped) return false;
+      if (!file || file.position >= file.size) {
+        if (files.length == 0) return false;
+        file = await openFile(files.shift());
+        continue;
+      }
+      const buffer = await readChunk(
+        file.path,
+        file.position,
+        Math.min(file.size - file.position, chunkSize)
+      );
+      const text = file.stringDecoder.write(buffer);
+      const size = file.size;
+      entries = [];
+      index = 0;
+      file.logDecoder.append(text, entry => entries.push({ ...entry, size }));
+      file.position += buffer.length;
+    }
+    return true;
+  }
+
+  async function openFile(path) {
+    const { size } = await fsAsync.stat(path);
+    return {
+      path,
+      size,
+      position: 0,
+      stringDecoder: new StringDecoder(),
+      logDecoder: new ArenaLogDecoder()
+    };
+  }
+
+  function schedule() {
+    if (stopped || paused || busy || handle) return;
+    const fast = delay === 0 || untilLabel !== "";
+    handle = setTimeout(tick, fast ? 0 : delay);
+  }
+
+  async function tick() {
+    handle = null;
+    busy = true;
+    try {
+      const fast = delay === 0 || untilLabel !== "";
+      let count = fast ? batchSize : 1;
+      while (count-- > 0 && !paused && !stopped) {
+        if (!(await next())) return;
+      }
+    } catch (err) {
+      onError(err);
+    } finally {
+      busy = false;
+    }
+    schedule();
+  }
+
+  // Dispatches the next entry, returns false once there is nothing left
+  async function next() {
+    if (!(await fill())) {
+      if (!stopped) {
+        stop();
+        onFinish();
+      }
+      return false;
+    }
+    const entry = entries[index++];
+    try {
+      onLogEntry(entry);
+    } catch (err) {
+      onError(err);
+    }
+    if (untilLabel !== "" && entry.label === untilLabel) {
+      untilLabel = "";
+      paused = true;
+    }
+    return true;
+  }
+
+  function pause() {
+    paused = true;
+    if (handle) clearTimeout(handle);
+    handle = null;
+  }
+
+  function resume() {
+    paused = false;
+    schedule();
+  }
+
+  async function step() {
+    pause();
+    if (stopped || busy) return;
+    busy = true;
+    try {
+      await next();
+    } catch (err) {
+      onError(err);
+    } finally {
+      busy = false;
+    }
+  }
+
+  function setSpeed(newSpeed) {
+    delay = newSpeed || 0;
+  }
+
+  function runUntil(label) {
+    untilLabel = label || "";
+    resume();
+  }
+
+  function stop() {
+    stopped = true;
+    if (handle) clearTimeout(handle);
+    handle = null;
+    entries = [];
+    index = 0;
+    file = null;
+  }
+}
+
+async function listFiles(paths) {
+  const files = [];
+  for (let path of paths) {
+    const stats = await fsAsync.stat(path);
+    if (stats.isDirectory()) {
+      const names = await fsAsync.readdir(path);
+      names
+        .filter(name => /\.(txt|log)$/i.test(name))
+        .sort()
+        .forEach(name => files.push(pathJoin(path, name)));
+    } else {
+      files.push(path);
+    }
+  }
+  return files;
+}
+
 function fsWatch(path, onChanged, interval) {
   let lastStats;
   let handle;
@@ -99,4 +273,4 @@ async function readChunk(path, position, length) {
   return buffer;
 }
 
-module.exports = { start };
+module.exports = { start, replay };
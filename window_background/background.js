@@ -1,6 +1,7 @@
 /*
 global
   cardsDb,
+  DRAFT_TABLE_SIZE,
   stripTags,
   windowBackground,
   windowRenderer,
@@ -8,35 +9,13 @@ global
   get_rank_index,
   playerDataDefault,
   hypergeometricRange,
-  onLabelOutLogInfo,
-  onLabelGreToClient,
   eventsToFormat,
   compare_archetypes,
-  onLabelClientToMatchServiceMessageTypeClientToGREMessage,
-  onLabelInEventGetPlayerCourse,
-  onLabelInEventGetPlayerCourseV2,
-  onLabelInEventGetCombinedRankInfo,
-  onLabelInDeckGetDeckLists,
-  onLabelInDeckGetDeckListsV3,
-  onLabelInEventGetPlayerCourses,
-  onLabelInEventGetPlayerCoursesV2,
-  onLabelInDeckUpdateDeck,
-  onLabelInDeckUpdateDeckV3,
-  onLabelInventoryUpdated,
-  onLabelInPlayerInventoryGetPlayerInventory,
-  onLabelInPlayerInventoryGetPlayerCardsV3,
-  onLabelInEventDeckSubmit,
-  onLabelInEventDeckSubmitV3,
-  onLabelInEventGetActiveEvents,
-  onLabelEventMatchCreated,
-  onLabelOutDirectGameChallenge,
-  onLabelInDraftDraftStatus,
-  onLabelInDraftMakePick,
-  onLabelOutDraftMakePick,
-  onLabelInEventCompleteDraft,
-  onLabelMatchGameRoomStateChangedEvent,
-  onLabelInEventGetSeasonAndRankDetail,
-  onLabelGetPlayerInventoryGetRewardSchedule
+  getLabelHandlers,
+  registerLabelHandler,
+  unregisterLabelHandler,
+  actionLogEventToHtml,
+  draftRanks
 */
 var electron = require("electron");
 
@@ -108,6 +87,11 @@ const defaultCfg = {
   gold_history: [],
   decks_index: [],
   decks_tags: {},
+  local_archetypes: {},
+  draft_ratings: {},
+  card_pool: null,
+  cards_history: [],
+  wildcard_plan: [],
   decks_last_used: [],
   tags_colors: {},
   decks: {},
@@ -130,8 +114,10 @@ var settingsStore = new Store({
 });
 
 const debugLog = false;
+// Set while a saved log is being replayed instead of the live one; nothing
+// read from it is sent to the server, it may not even be our log
+var replaying = false;
 const debugNet = true;
-var debugLogSpeed = 0.1;
 
 const actionLogDir = path.join(
   (electron.app || electron.remote.app).getPath("userData"),
@@ -141,6 +127,51 @@ if (!fs.existsSync(actionLogDir)) {
   fs.mkdirSync(actionLogDir);
 }
 
+const replaysDir = path.join(
+  (electron.app || electron.remote.app).getPath("userData"),
+  "replays"
+);
+if (!fs.existsSync(replaysDir)) {
+  fs.mkdirSync(replaysDir);
+}
+
+// Where the action log or replay file of a match goes. While replaying a
+// log they go in the replay folder, along with the replay store.
+function matchFilePath(dir, name) {
+  if (!replaying) return path.join(dir, name);
+  let replayDir = path.join(path.dirname(dir), "replay");
+  let filesDir = path.join(replayDir, path.basename(dir));
+  [replayDir, filesDir].forEach(folder => {
+    if (!fs.existsSync(folder)) fs.mkdirSync(folder);
+  });
+  return path.join(filesDir, name);
+}
+
+// Extra label handlers, each .js file in this folder exports a function that
+// gets registerLabelHandler and unregisterLabelHandler, for example
+//   module.exports = register =>
+//     register("Event.GetPlayerCoursesV3", "<==", (entry, json) => {});
+const labelHandlersDir = path.join(
+  (electron.app || electron.remote.app).getPath("userData"),
+  "label_handlers"
+);
+
+function loadExternalLabelHandlers() {
+  if (!fs.existsSync(labelHandlersDir)) return;
+  fs.readdirSync(labelHandlersDir)
+    .filter(file => file.endsWith(".js"))
+    .forEach(file => {
+      try {
+        const plugin = require(path.join(labelHandlersDir, file));
+        plugin(registerLabelHandler, unregisterLabelHandler);
+        console.log("Loaded label handlers from " + file);
+      } catch (err) {
+        console.error("Could not load label handlers from " + file, err);
+      }
+    });
+}
+loadExternalLabelHandlers();
+
 var firstPass = true;
 var tokenAuth = undefined;
 
@@ -190,6 +221,7 @@ var currentDraftDefault = {
 };
 
 var currentDraft = null;
+var draftPickStart = null;
 /*
 var currentDraft = undefined;
 var currentDraftPack = undefined;
@@ -209,8 +241,17 @@ var matchBeginTime = 0;
 var matchGameStats = [];
 var matchCompletedOnGameNumber = 0;
 var gameNumberCompleted = 0;
+var gameStartingSeat = 0;
+var playerLife = 20;
+var opponentLife = 20;
+var gameCardsSeen = {};
+var gameCardsPlayed = {};
+var gameTimeline = [];
+var gameOppInstances = {};
+var matchOppCardCounts = {};
 
 var gameStage = "";
+var currentReplay = null;
 var initialLibraryInstanceIds = [];
 var idChanges = {};
 var instanceToCardIdMap = {};
@@ -227,6 +268,11 @@ var deck_changes = {};
 var decks_tags = {};
 var tags_colors = {};
 var deck_archetypes = {};
+var local_archetypes = {};
+var draft_ratings = {};
+var card_pool = null;
+var cards_history = [];
+var wildcard_plan = [];
 
 var gold = 0;
 var gems = 0;
@@ -395,6 +441,332 @@ ipc.on("set_deck_archetypes", (event, arg) => {
   deck_archetypes = arg;
 });
 
+//
+ipc.on("save_local_archetype", (event, arg) => {
+  addLocalArchetype(arg.format, arg.tag, arg.cards);
+  saveLocalArchetypes();
+});
+
+//
+ipc.on("delete_local_archetype", (event, arg) => {
+  if (local_archetypes[arg.format]) {
+    local_archetypes[arg.format] = local_archetypes[arg.format].filter(
+      arch => arch.tag != arg.tag
+    );
+    if (local_archetypes[arg.format].length == 0) {
+      delete local_archetypes[arg.format];
+    }
+  }
+  saveLocalArchetypes();
+});
+
+//
+ipc.on("import_local_archetypes", (event, arg) => {
+  let imported;
+  try {
+    imported = JSON.parse(fs.readFileSync(arg, "utf-8"));
+  } catch (e) {
+    ipc_send("popup", { text: "Could not read " + arg, time: 3000 });
+    return;
+  }
+
+  let count = 0;
+  Object.keys(imported).forEach(format => {
+    if (!Array.isArray(imported[format])) return;
+    imported[format].forEach(arch => {
+      if (!arch.tag || !Array.isArray(arch.cards)) return;
+      addLocalArchetype(format, arch.tag, arch.cards);
+      count++;
+    });
+  });
+  saveLocalArchetypes();
+  ipc_send("popup", { text: "Imported " + count + " archetypes.", time: 3000 });
+});
+
+//
+ipc.on("preview_reclassification", () => {
+  startReclassification();
+});
+
+//
+ipc.on("apply_reclassification", (event, arg) => {
+  arg.forEach(applyReclassification);
+  ipc_send("popup", {
+    text: "Reclassified " + arg.length + " matches.",
+    time: 3000
+  });
+  requestHistorySend(0);
+});
+
+//
+ipc.on("save_draft_ratings", (event, arg) => {
+  setDraftRatings(arg.set, arg.ratings);
+  saveDraftRatings();
+});
+
+//
+ipc.on("save_wildcard_plan", (event, arg) => {
+  wildcard_plan = arg;
+  store.set("wildcard_plan", wildcard_plan);
+  ipc_send("set_wildcard_plan", wildcard_plan);
+});
+
+//
+ipc.on("import_draft_ratings", (event, arg) => {
+  let imported;
+  try {
+    imported = JSON.parse(fs.readFileSync(arg, "utf-8"));
+  } catch (e) {
+    ipc_send("popup", { text: "Could not read " + arg, time: 3000 });
+    return;
+  }
+
+  let count = 0;
+  Object.keys(imported).forEach(set => {
+    if (typeof imported[set] != "object") return;
+    count += setDraftRatings(set, imported[set], true);
+  });
+  saveDraftRatings();
+  ipc_send("popup", { text: "Imported " + count + " ratings.", time: 3000 });
+});
+
+// Our own pick ratings of a set, by card name, on the same 0 (F) to 12 (A+)
+// scale as the built in ranks. Grades can be given as letters too. Unless
+// merging, the ratings replace the whole table of the set.
+function setDraftRatings(set, ratings, merge = false) {
+  let table = merge && draft_ratings[set] ? draft_ratings[set] : {};
+  let count = 0;
+  Object.keys(ratings).forEach(name => {
+    let rating = ratings[name];
+    if (typeof rating == "string" && draftRanks.includes(rating)) {
+      rating = draftRanks.indexOf(rating);
+    }
+    rating = parseInt(rating);
+    if (isNaN(rating) || rating < 0 || rating >= draftRanks.length) return;
+    table[name] = rating;
+    count++;
+  });
+
+  if (Object.keys(table).length > 0) {
+    draft_ratings[set] = table;
+  } else {
+    delete draft_ratings[set];
+  }
+  return count;
+}
+
+//
+function saveDraftRatings() {
+  store.set("draft_ratings", draft_ratings);
+  sendDraftRatings();
+}
+
+//
+function sendDraftRatings() {
+  ipc_send("set_draft_ratings", draft_ratings);
+  ipc_send("set_draft_ratings", draft_ratings, windowOverlay);
+}
+
+// Keeps the last sealed or draft pool we were given, so a deck can be
+// built from it in the pool builder. Reading the log again gives us the
+// pools we already had, those older than the stored one are skipped.
+function setCardPool(courseId, eventId, cards, date) {
+  if (!Array.isArray(cards) || cards.length == 0) return;
+  if (card_pool && new Date(date) < new Date(card_pool.date)) return;
+
+  let isNew = !card_pool || card_pool.id != courseId;
+  card_pool = { id: courseId, eventId: eventId, cards: cards, date: date };
+  store.set("card_pool", card_pool);
+  ipc_send("set_card_pool", card_pool);
+  if (isNew && !firstPass) {
+    ipc_send("popup", {
+      text: "A new card pool is ready to build in the events tab",
+      time: 3000
+    });
+  }
+}
+
+// The collection a list of snapshots adds up to
+function replayCollection(snapshots) {
+  let cards = {};
+  snapshots.forEach(snapshot => Object.assign(cards, snapshot.cards));
+  return cards;
+}
+
+// Cards crafted and wildcards spent after one date and up to another, from
+// the wildcard redemptions in the economy history
+function getCraftedBetween(since, until) {
+  let crafted = { cards: {}, wildcards: {} };
+  (economy.changes || []).forEach(id => {
+    let change = economy[id];
+    if (!change || change.context != "WildCard.Redeem") return;
+    let date = new Date(change.date);
+    if (date <= since || date > until) return;
+
+    (change.delta.cardsAdded || []).forEach(grpId => {
+      crafted.cards[grpId] = (crafted.cards[grpId] || 0) + 1;
+    });
+    ["Common", "Uncommon", "Rare", "Mythic"].forEach(rarity => {
+      let delta = change.delta["wc" + rarity + "Delta"];
+      if (delta < 0) {
+        let key = rarity.toLowerCase();
+        crafted.wildcards[key] = (crafted.wildcards[key] || 0) - delta;
+      }
+    });
+  });
+  return crafted;
+}
+
+// Keeps the collection over time. The first snapshot has every card and
+// the later ones only the cards whose count changed since the one before,
+// with their new count, and the cards among them crafted with wildcards.
+// A day only keeps its last snapshot.
+function saveCollectionSnapshot(cards, date) {
+  let last = cards_history[cards_history.length - 1];
+  if (last && new Date(last.date) > date) return;
+  if (last && new Date(last.date).toDateString() == date.toDateString()) {
+    cards_history.pop();
+  }
+
+  let before = replayCollection(cards_history);
+  let changes = {};
+  Object.keys(cards).forEach(id => {
+    if (before[id] !== cards[id]) changes[id] = cards[id];
+  });
+  Object.keys(before).forEach(id => {
+    if (cards[id] === undefined && before[id] > 0) changes[id] = 0;
+  });
+
+  let snapshot = { date: date, cards: changes };
+  let previous = cards_history[cards_history.length - 1];
+  if (previous) {
+    let crafted = getCraftedBetween(new Date(previous.date), date);
+    if (Object.keys(crafted.cards).length > 0) {
+      snapshot.crafted = crafted.cards;
+      snapshot.wildcards = crafted.wildcards;
+    }
+  }
+
+  if (cards_history.length == 0 || Object.keys(changes).length > 0) {
+    cards_history.push(snapshot);
+  }
+  store.set("cards_history", cards_history);
+  ipc_send("set_cards_history", cards_history);
+}
+
+// Adds or replaces one of our own archetypes. Card quantities are weights,
+// and the average is their total so a full match scores 1.
+function addLocalArchetype(format, tag, cards) {
+  // imported files may have ids we do not know, or quantities as strings
+  cards = cards
+    .map(card => ({
+      id: parseInt(card.id),
+      quantity: parseInt(card.quantity)
+    }))
+    .filter(card => card.quantity > 0 && cardsDb.get(card.id));
+  let arch = {
+    tag: tag,
+    average: cards.reduce((acc, card) => acc + card.quantity, 0),
+    cards: cards
+  };
+
+  if (!local_archetypes[format]) local_archetypes[format] = [];
+  let index = local_archetypes[format].findIndex(a => a.tag == tag);
+  if (index == -1) {
+    local_archetypes[format].push(arch);
+  } else {
+    local_archetypes[format][index] = arch;
+  }
+}
+
+//
+function saveLocalArchetypes() {
+  store.set("local_archetypes", local_archetypes);
+  ipc_send("set_local_archetypes", local_archetypes);
+}
+
+// Runs the archetype matching again over every stored match, in chunks so
+// big histories do not freeze the background. Nothing is saved; the renderer
+// gets the list of changes to preview and sends back the ones to apply.
+let reclassifyJob = null;
+function startReclassification() {
+  if (reclassifyJob) return;
+  reclassifyJob = { ids: store.get("matches_index"), index: 0, changes: [] };
+  reclassifyStep();
+}
+
+//
+function reclassifyStep() {
+  let job = reclassifyJob;
+  let end = Math.min(job.index + 200, job.ids.length);
+  try {
+    for (; job.index < end; job.index++) {
+      let change = getReclassification(job.ids[job.index]);
+      if (change) job.changes.push(change);
+    }
+  } catch (err) {
+    // a failed run must not keep the next one from starting
+    console.error(err);
+    reclassifyJob = null;
+    ipc_send("popup", {
+      text: "Reclassifying failed on match " + job.ids[job.index],
+      time: 3000
+    });
+    return;
+  }
+
+  if (job.index < job.ids.length) {
+    ipc_send("popup", {
+      text: "Reclassifying: " + job.index + " / " + job.ids.length,
+      time: 0
+    });
+    setTimeout(reclassifyStep, 0);
+    return;
+  }
+
+  reclassifyJob = null;
+  ipc_send("popup", {
+    text: job.changes.length + " matches would change.",
+    time: 3000
+  });
+  ipc_send("set_reclassify_preview", job.changes);
+}
+
+// The new archetype of a stored match, if it differs from the saved one
+function getReclassification(id) {
+  let match = history[id];
+  if (!match || match.type != "match" || !match.oppDeck) return null;
+
+  let oldTag = match.oppDeck.archetype || "-";
+  let newTag = getArchetypeMatch(
+    match.oppDeck.mainDeck,
+    eventsToFormat[match.eventId]
+  );
+  if (newTag == "-" || newTag == oldTag) return null;
+
+  return {
+    id: id,
+    date: match.date,
+    opponent: match.opponent.name,
+    eventId: match.eventId,
+    from: oldTag,
+    to: newTag
+  };
+}
+
+// Swaps the old archetype tag of the match for the new one
+function applyReclassification(change) {
+  let match = history[change.id];
+  if (!match || !match.oppDeck) return;
+
+  let oldTag = match.oppDeck.archetype;
+  let tags = (match.tags || []).filter(tag => tag != oldTag);
+  if (!tags.includes(change.to)) tags.unshift(change.to);
+  match.tags = tags;
+  match.oppDeck.archetype = change.to;
+  store.set(change.id, match);
+}
+
 window.onerror = (msg, url, line, col, err) => {
   var error = {
     msg: err.msg,
@@ -783,13 +1155,23 @@ function loadPlayerConfig(playerId, serverData = undefined) {
   deck_changes = entireConfig["deck_changes"];
   decks_tags = entireConfig["decks_tags"];
   tags_colors = entireConfig["tags_colors"];
+  local_archetypes = entireConfig["local_archetypes"];
+  draft_ratings = entireConfig["draft_ratings"];
+  card_pool = entireConfig["card_pool"];
+  cards_history = entireConfig["cards_history"];
+  wildcard_plan = entireConfig["wildcard_plan"];
 
   var obj = store.get("overlayBounds");
 
   ipc_send("set_tags_colors", tags_colors);
+  ipc_send("set_local_archetypes", local_archetypes);
+  sendDraftRatings();
+  ipc_send("set_card_pool", card_pool);
+  ipc_send("set_wildcard_plan", wildcard_plan);
   ipc_send("overlay_set_bounds", obj);
 
   ipc_send("set_cards", { cards: entireConfig.cards.cards, new: {} });
+  ipc_send("set_cards_history", cards_history);
 
   sendEconomy();
 
@@ -917,6 +1299,35 @@ ipc.on("set_log", function(event, arg) {
   settingsStore.set("logUri", arg);
 });
 
+// Replay a saved log (or a folder of logs) instead of the live one
+ipc.on("replay_log", function(event, arg) {
+  startReplay(arg);
+});
+
+ipc.on("replay_pause", function() {
+  if (replayController) replayController.pause();
+});
+
+ipc.on("replay_resume", function() {
+  if (replayController) replayController.resume();
+});
+
+ipc.on("replay_step", function() {
+  if (replayController) replayController.step();
+});
+
+ipc.on("replay_speed", function(event, arg) {
+  if (replayController) replayController.setSpeed(arg);
+});
+
+ipc.on("replay_until", function(event, arg) {
+  if (replayController) replayController.runUntil(arg);
+});
+
+ipc.on("replay_stop", function() {
+  stopReplay();
+});
+
 // Read the log
 // Set variables to default first
 const mtgaLog = require("./mtga-log");
@@ -946,16 +1357,81 @@ function startWatchingLog() {
   });
 }
 
+// Replayed logs are read a megabyte at a time, a folder of them can be big
+const REPLAY_CHUNK_SIZE = 1048576;
+let replayController = null;
+let resumeWatchingLog = false;
+// The player store is set aside while replaying, so the matches, drafts and
+// economy of a replayed log do not end up in the real history
+let liveStore = null;
+let livePlayerId = null;
+
+function startReplay(arg) {
+  if (!fs.existsSync(arg.path)) {
+    ipc_send("popup", { text: "Replay log not found.", time: 3000 });
+    return;
+  }
+  if (replayController) {
+    replayController.stop();
+  } else {
+    resumeWatchingLog = watchingLog;
+  }
+  if (watchingLog) {
+    stopWatchingLog();
+    watchingLog = false;
+  }
+
+  if (!liveStore) {
+    liveStore = store;
+    livePlayerId = playerData.arenaId;
+  }
+  store = new Store({
+    configName: "replay",
+    cwd: "replay",
+    defaults: defaultCfg
+  });
+  store.store = cloneDeep(defaultCfg);
+
+  replaying = true;
+  firstPass = false;
+  replayController = ArenaLogWatcher.replay({
+    paths: [arg.path],
+    chunkSize: REPLAY_CHUNK_SIZE,
+    speed: arg.speed,
+    until: arg.until,
+    onLogEntry: onLogEntryFound,
+    onError: err => console.error(err),
+    onFinish: () => stopReplay("Replay finished, back to the live log.")
+  });
+  ipc_send("popup", { text: "Replaying " + arg.path, time: 3000 });
+}
+
+// Leaves replay mode and goes back to reading the live log from the start
+function stopReplay(text = "Replay stopped.") {
+  if (!replayController) return;
+  replayController.stop();
+  replayController = null;
+  replaying = false;
+
+  // drop what the replay left in memory by reading the real store again
+  store = liveStore;
+  liveStore = null;
+  if (livePlayerId) {
+    loadPlayerConfig(livePlayerId);
+  }
+
+  firstPass = true;
+  if (resumeWatchingLog) {
+    watchingLog = true;
+    stopWatchingLog = startWatchingLog();
+  }
+  ipc_send("popup", { text: text, time: 3000 });
+}
+
 let skipMatch = false;
 let skipFirstPass = false;
 
 function onLogEntryFound(entry) {
-  if (debugLog) {
-    let currentTime = new Date().getTime();
-    while (currentTime + debugLogSpeed >= new Date().getTime()) {
-      // sleep
-    }
-  }
   let json;
   if (entry.type == "connection") {
     playerData.arenaId = entry.socket.PlayerId;
@@ -968,199 +1444,24 @@ function onLogEntryFound(entry) {
       updateLoading(entry);
     }
     if ((firstPass && !skipFirstPass) || !firstPass) {
-      try {
-        switch (entry.label) {
-          case "Log.Info":
-            if (entry.arrow == "==>") {
-              json = entry.json();
-              onLabelOutLogInfo(entry, json);
-            }
-            break;
-
-          case "GreToClientEvent":
-            json = entry.json();
-            onLabelGreToClient(entry, json);
-            break;
-
-          case "ClientToMatchServiceMessageType_ClientToGREMessage":
-            json = entry.json();
-            onLabelClientToMatchServiceMessageTypeClientToGREMessage(
-              entry,
-              json
-            );
-            break;
-
-          case "Event.GetPlayerCourse":
-            if (entry.arrow == "<==") {
-              json = entry.json();
-              onLabelInEventGetPlayerCourse(entry, json);
-            }
-            break;
-
-          case "Event.GetPlayerCourseV2":
-            if (entry.arrow == "<==") {
-              json = entry.json();
-              onLabelInEventGetPlayerCourseV2(entry, json);
-            }
-            break;
-
-          case "Event.GetCombinedRankInfo":
-            if (entry.arrow == "<==") {
-              json = entry.json();
-              onLabelInEventGetCombinedRankInfo(entry, json);
-            }
-            break;
-
-          case "Rank.Updated":
-            {
-              json = entry.json();
-              onLabelRankUpdated(entry, json);
-            }
-            break;
-
-          case "Event.GetPlayerCourses":
-            if (entry.arrow == "<==") {
-              json = entry.json();
-              onLabelInEventGetPlayerCourses(entry, json);
-            }
-            break;
-
-          case "Event.GetPlayerCoursesV2":
-            if (entry.arrow == "<==") {
-              json = entry.json();
-              onLabelInEventGetPlayerCoursesV2(entry, json);
-            }
-            break;
-
-          case "Deck.GetDeckLists":
-            if (entry.arrow == "<==") {
-              json = entry.json();
-              onLabelInDeckGetDeckLists(entry, json);
-            }
-            break;
-
-          case "Deck.GetDeckListsV3":
-            if (entry.arrow == "<==") {
-              json = entry.json();
-              onLabelInDeckGetDeckListsV3(entry, json);
-            }
-            break;
-
-          case "Deck.UpdateDeck":
-            if (entry.arrow == "<==") {
-              json = entry.json();
-              onLabelInDeckUpdateDeck(entry, json);
-            }
-            break;
-
-          case "Deck.UpdateDeckV3":
-            if (entry.arrow == "<==") {
-              json = entry.json();
-              onLabelInDeckUpdateDeckV3(entry, json);
-            }
-            break;
-
-          case "Inventory.Updated":
-            json = entry.json();
-            onLabelInventoryUpdated(entry, json);
-            break;
-
-          case "PlayerInventory.GetPlayerInventory":
-            if (entry.arrow == "<==") {
-              json = entry.json();
-              onLabelInPlayerInventoryGetPlayerInventory(entry, json);
-            }
-            break;
-
-          case "PlayerInventory.GetPlayerCardsV3":
-            if (entry.arrow == "<==") {
-              json = entry.json();
-              onLabelInPlayerInventoryGetPlayerCardsV3(entry, json);
-            }
-            break;
-
-          case "Event.DeckSubmit":
-            if (entry.arrow == "<==") {
-              json = entry.json();
-              onLabelInEventDeckSubmit(entry, json);
-            }
-            break;
-
-          case "Event.DeckSubmitV3":
-            if (entry.arrow == "<==") {
-              json = entry.json();
-              onLabelInEventDeckSubmitV3(entry, json);
-            }
-            break;
-
-          case "Event.MatchCreated":
-            json = entry.json();
-            onLabelEventMatchCreated(entry, json);
-            break;
-
-          case "DirectGame.Challenge":
-            if (entry.arrow == "==>") {
-              json = entry.json();
-              onLabelOutDirectGameChallenge(entry, json);
-            }
-            break;
-
-          case "Draft.DraftStatus":
-            if (entry.arrow == "<==") {
-              json = entry.json();
-              onLabelInDraftDraftStatus(entry, json);
-            }
-            break;
-
-          case "Draft.MakePick":
-            if (entry.arrow == "<==") {
-              json = entry.json();
-              onLabelInDraftMakePick(entry, json);
-            } else {
-              json = entry.json();
-              onLabelOutDraftMakePick(entry, json);
-            }
-            break;
-
-          case "Event.CompleteDraft":
-            if (entry.arrow == "<==") {
-              json = entry.json();
-              onLabelInEventCompleteDraft(entry, json);
-            }
-            break;
-
-          case "Event.GetActiveEventsV2":
-            if (entry.arrow == "<==") {
-              json = entry.json();
-              onLabelInEventGetActiveEvents(entry, json);
-            }
-            break;
-
-          case "MatchGameRoomStateChangedEvent":
-            json = entry.json();
-            onLabelMatchGameRoomStateChangedEvent(entry, json);
-            break;
-
-          case "Event.GetSeasonAndRankDetail":
-            if (entry.arrow == "<==") {
-              json = entry.json();
-              onLabelInEventGetSeasonAndRankDetail(entry, json);
-            }
-            break;
-
-          case "PlayerInventory.GetRewardSchedule":
-            if (entry.arrow == "<==") {
-              json = entry.json();
-              onLabelGetPlayerInventoryGetRewardSchedule(entry, json);
-            }
-            break;
-
-          default:
-            break;
+      const handlers = getLabelHandlers(entry);
+      if (handlers.length) {
+        try {
+          json = entry.json();
+        } catch (err) {
+          console.log(entry.label, entry.position);
+          console.error(err);
+          return;
         }
-      } catch (err) {
-        console.log(entry.label, entry.position, entry.json());
-        console.error(err);
+        // a failing handler should not keep the others from seeing the entry
+        handlers.forEach(handler => {
+          try {
+            handler(entry, json);
+          } catch (err) {
+            console.log(entry.label, entry.position, json);
+            console.error(err);
+          }
+        });
       }
     }
   }
@@ -1199,10 +1500,6 @@ async function logLoop() {
     ipc_send("log_read", 1);
   }
 
-  if (debugLog) {
-    firstPass = false;
-  }
-
   if (renderer_state != 1) {
     // The renderer process is not ready, postpose reading the log
     //ipc_send("ipc_log", "readLog logloopmode: "+logLoopMode+", renderer state:"+renderer_state+", logSize: "+logSize+", prevLogSize: "+prevLogSize);
@@ -1335,29 +1632,106 @@ function setDraftCards(json) {
   ipc.send("set_draft_cards", currentDraft);
 }
 
-function actionLogGenerateLink(grpId) {
-  var card = cardsDb.get(grpId);
-  return (
-    '<a class="card_link click-on" href="' + grpId + '">' + card.name + "</a>"
-  );
+// When the pack of a pick reached us; kept once per pick, as the draft status
+// can be sent again while we are still deciding
+function startDraftPick(packNumber, pickNumber, time) {
+  if (
+    draftPickStart &&
+    draftPickStart.packNumber == packNumber &&
+    draftPickStart.pickNumber == pickNumber
+  ) {
+    return;
+  }
+  draftPickStart = { packNumber, pickNumber, time };
+}
+
+// Compares a pack with what it had a lap earlier, after our own pick: the
+// cards still in it wheeled, the rest were taken by the other seats.
+function getDraftLap(packNumber, pickNumber, pack) {
+  let lapKey = "pack_" + packNumber + "pick_" + (pickNumber - DRAFT_TABLE_SIZE);
+  let lapPick = currentDraft[lapKey];
+  if (!lapPick || !lapPick.pack) return null;
+
+  let remaining = lapPick.pack.slice(0);
+  let pickIndex = remaining.indexOf(lapPick.pick);
+  if (pickIndex != -1) {
+    remaining.splice(pickIndex, 1);
+  }
+  let wheeled = [];
+  pack.forEach(grpId => {
+    let index = remaining.indexOf(grpId);
+    if (index != -1) {
+      wheeled.push(grpId);
+      remaining.splice(index, 1);
+    }
+  });
+  return { wheeled: wheeled, taken: remaining };
 }
 
 var currentActionLog = "";
+var currentActionLogEvents = [];
+var actionLogEventsTimeout = null;
+
+// The events file holds the whole list, so rather than on every event it is
+// written a second after the first unsaved one, and when the match ends.
+function saveActionLogEvents() {
+  clearTimeout(actionLogEventsTimeout);
+  actionLogEventsTimeout = null;
+  if (currentActionLogEvents.length == 0) return;
+
+  try {
+    fs.writeFileSync(
+      matchFilePath(actionLogDir, currentMatch.matchId + ".json"),
+      JSON.stringify(currentActionLogEvents),
+      "utf-8"
+    );
+  } catch (e) {
+    //
+  }
+}
+
+// Adds a structured event to the action log; the event keeps the seat, the
+// turn it happened in and the cards involved, so it can be rendered or
+// filtered later on. They are saved as json next to the text log.
+function actionLogEvent(type, seat, time, data = {}) {
+  let event = Object.assign({ type: type, seat: seat, time: time }, data);
+  if (currentMatch && currentMatch.turn) {
+    event.turn = currentMatch.turn.turnNumber;
+    event.phase = currentMatch.turn.phase;
+    event.step = currentMatch.turn.step;
+    event.activePlayer = currentMatch.turn.activePlayer;
+  }
+  currentActionLogEvents.push(event);
+  if (!actionLogEventsTimeout) {
+    actionLogEventsTimeout = setTimeout(saveActionLogEvents, 1000);
+  }
+
+  actionLog(
+    seat,
+    time,
+    actionLogEventToHtml(event, getNameBySeat),
+    event.grpId,
+    event
+  );
+}
 
 // Send action log data to overlay
-function actionLog(seat, time, str, grpId = 0) {
+function actionLog(seat, time, str, grpId = 0, event = undefined) {
   if (seat == -99) {
+    saveActionLogEvents();
     currentActionLog = "";
+    currentActionLogEvents = [];
   } else {
     var hh = ("0" + time.getHours()).slice(-2);
     var mm = ("0" + time.getMinutes()).slice(-2);
     var ss = ("0" + time.getSeconds()).slice(-2);
     currentActionLog +=
       hh + ":" + mm + ":" + ss + " " + stripTags(str) + "\r\n";
+    replayRecordLog(seat, time, str);
 
     try {
       fs.writeFileSync(
-        path.join(actionLogDir, currentMatch.matchId + ".txt"),
+        matchFilePath(actionLogDir, currentMatch.matchId + ".txt"),
         currentActionLog,
         "utf-8"
       );
@@ -1369,15 +1743,136 @@ function actionLog(seat, time, str, grpId = 0) {
   //console.log("action_log", str, {seat: seat, time:time, grpId: grpId});
   ipc_send(
     "action_log",
-    { seat: seat, time: time, str: str, grpId: grpId },
+    { seat: seat, time: time, str: str, grpId: grpId, event: event },
     windowOverlay
   );
 }
 
 var attackersDetected = [];
+var blockersDetected = [];
 var zoneTransfers = [];
 
 // Process zone transfers
+// Life, cards in hand, lands and creatures of both seats at the end of a
+// turn, for the game timeline chart in the match view
+function recordTimelineTurn(turnNumber) {
+  let snapshot = { turn: turnNumber, player: {}, opponent: {} };
+  [
+    [snapshot.player, currentMatch.player.seat, playerLife],
+    [snapshot.opponent, currentMatch.opponent.seat, opponentLife]
+  ].forEach(([side, seat, life]) => {
+    let hand = currentMatch.zones["ZoneType_Hand" + seat];
+    side.life = life;
+    side.hand =
+      hand && hand.objectInstanceIds ? hand.objectInstanceIds.length : 0;
+    side.lands = 0;
+    side.creatures = 0;
+  });
+
+  let battlefield = currentMatch.zones["ZoneType_Battlefield"];
+  if (battlefield && battlefield.objectInstanceIds) {
+    battlefield.objectInstanceIds.forEach(id => {
+      let obj = currentMatch.gameObjs[id];
+      if (!obj || !obj.cardTypes) return;
+      let side;
+      if (obj.controllerSeatId == currentMatch.player.seat) {
+        side = snapshot.player;
+      } else if (obj.controllerSeatId == currentMatch.opponent.seat) {
+        side = snapshot.opponent;
+      } else {
+        return;
+      }
+      if (obj.cardTypes.includes("CardType_Land")) side.lands++;
+      if (obj.cardTypes.includes("CardType_Creature")) side.creatures++;
+    });
+  }
+
+  gameTimeline.push(snapshot);
+}
+
+// Our cards that have been out of the library during this game, for the
+// per card stats in deck details. Not while taking mulligans, the hands we
+// send back were never drawn; the one we keep is recorded once we start.
+function recordCardSeen(obj) {
+  if (
+    gameStage != "GameStage_Start" &&
+    obj.ownerSeatId == currentMatch.player.seat &&
+    obj.type == "GameObjectType_Card" &&
+    obj.zoneName != "ZoneType_Library" &&
+    obj.zoneName != "ZoneType_Limbo" &&
+    cardsDb.get(obj.grpId)
+  ) {
+    gameCardsSeen[obj.grpId] = true;
+  }
+}
+
+function recordKeptHand() {
+  let hand = currentMatch.zones["ZoneType_Hand" + currentMatch.player.seat];
+  if (!hand || !hand.objectInstanceIds) return;
+  hand.objectInstanceIds.forEach(id => {
+    let obj = currentMatch.gameObjs[id];
+    if (obj) recordCardSeen(obj);
+  });
+}
+
+// Opponent cards we got to know during this game, by instance id
+function recordOppCardSeen(obj) {
+  if (
+    obj.ownerSeatId == currentMatch.opponent.seat &&
+    isDeckCard(obj) &&
+    obj.zoneName != "ZoneType_Limbo" &&
+    cardsDb.get(obj.grpId)
+  ) {
+    gameOppInstances[obj.instanceId] = obj.grpId;
+  }
+}
+
+// Copies of each card the opponent showed this game. A card gets a new
+// instance id every time it changes zones, so the instances are followed
+// back to the first id of the card before counting them.
+function getGameOppCardCounts() {
+  let previousIds = {};
+  Object.keys(idChanges).forEach(orig => {
+    previousIds[idChanges[orig]] = orig;
+  });
+
+  let cardIds = {};
+  Object.keys(gameOppInstances).forEach(instanceId => {
+    let grpId = gameOppInstances[instanceId];
+    let firstId = instanceId;
+    let steps = 0;
+    while (previousIds[firstId] !== undefined && steps++ < 100) {
+      firstId = previousIds[firstId];
+    }
+    if (!cardIds[grpId]) cardIds[grpId] = [];
+    if (!cardIds[grpId].includes(firstId)) cardIds[grpId].push(firstId);
+  });
+
+  let counts = {};
+  Object.keys(cardIds).forEach(grpId => {
+    counts[grpId] = cardIds[grpId].length;
+  });
+  return counts;
+}
+
+// The same copies show up again in every game of a match, so the match
+// keeps the most copies of each card seen in any of its games.
+function getMatchOppCardCounts() {
+  let counts = Object.assign({}, matchOppCardCounts);
+  let gameCounts = getGameOppCardCounts();
+  Object.keys(gameCounts).forEach(grpId => {
+    counts[grpId] = Math.max(counts[grpId] || 0, gameCounts[grpId]);
+  });
+  return counts;
+}
+
+// Spells we cast and lands we played during this game
+function recordCardPlayed(seat, grpId) {
+  if (seat == currentMatch.player.seat && cardsDb.get(grpId)) {
+    gameCardsPlayed[grpId] = (gameCardsPlayed[grpId] || 0) + 1;
+  }
+}
+
 // Sometimes GreToClient sends data about transfers when they havent been reported elsewhere
 // Here we check if the object ID the transfer refers to exists in the main objects array and process it if it does
 function tryZoneTransfers() {
@@ -1424,61 +1919,43 @@ function tryZoneTransfers() {
     try {
       var affectorGrpid;
       //console.log("AnnotationType_ZoneTransfer", obj, obj.aff, gameObjs, _src, _dest, _cat);
+      if (_cat == "CastSpell" || _cat == "PlayLand") {
+        recordCardPlayed(owner, grpid);
+      }
       if (_cat == "CastSpell") {
-        actionLog(
-          owner,
-          obj.time,
-          getNameBySeat(owner) + " casted " + actionLogGenerateLink(grpid)
-        );
+        actionLogEvent("cast", owner, obj.time, { grpId: grpid });
       } else if (_cat == "Resolve") {
-        actionLog(
-          owner,
-          obj.time,
-          getNameBySeat(owner) + " resolved " + actionLogGenerateLink(grpid)
-        );
+        actionLogEvent("resolve", owner, obj.time, { grpId: grpid });
       } else if (_cat == "PlayLand") {
-        actionLog(
-          owner,
-          obj.time,
-          getNameBySeat(owner) + " played " + actionLogGenerateLink(grpid)
-        );
+        actionLogEvent("play_land", owner, obj.time, { grpId: grpid });
       } else if (_cat == "Countered") {
         affectorGrpid = currentMatch.gameObjs[obj.affectorId].grpId;
         if (affectorGrpid == undefined) {
           removeFromList = false;
         } else {
-          actionLog(
-            owner,
-            obj.time,
-            actionLogGenerateLink(affectorGrpid) +
-              " countered " +
-              actionLogGenerateLink(grpid)
-          );
+          actionLogEvent("counter", owner, obj.time, {
+            grpId: affectorGrpid,
+            targetGrpId: grpid
+          });
         }
       } else if (_cat == "Destroy") {
         affectorGrpid = currentMatch.gameObjs[obj.affectorId].grpId;
         if (affectorGrpid == undefined) {
           removeFromList = false;
         } else {
-          actionLog(
-            owner,
-            obj.time,
-            actionLogGenerateLink(affectorGrpid) +
-              " destroyed " +
-              actionLogGenerateLink(grpid)
-          );
+          actionLogEvent("destroy", owner, obj.time, {
+            grpId: affectorGrpid,
+            targetGrpId: grpid
+          });
         }
       } else if (_cat == "Draw") {
-        actionLog(owner, obj.time, getNameBySeat(owner) + " drew a card");
+        actionLogEvent("draw", owner, obj.time);
         removeFromListAnyway = true;
       } else if (cname != "") {
-        actionLog(
-          owner,
-          obj.time,
-          actionLogGenerateLink(grpid) +
-            " moved to " +
-            currentMatch.zones[_dest].type
-        );
+        actionLogEvent("zone_transfer", owner, obj.time, {
+          grpId: grpid,
+          zone: currentMatch.zones[_dest].type
+        });
       }
       currentMatch.gameObjs[obj.aff].zoneId = _dest;
       currentMatch.gameObjs[obj.aff].zoneName = currentMatch.zones[_dest].type;
@@ -1547,9 +2024,108 @@ function resetGameState() {
   idChanges = {};
   instanceToCardIdMap = {};
   attackersDetected = [];
+  blockersDetected = [];
   zoneTransfers = [];
   playerLife = 20;
   opponentLife = 20;
+  gameStartingSeat = 0;
+  gameCardsSeen = {};
+  gameCardsPlayed = {};
+  gameTimeline = [];
+  gameOppInstances = {};
+  replayStartGame();
+}
+
+// Replays keep the game state messages of every game in a match, stripped
+// down to what is needed to rebuild the board, plus the action log lines.
+function replayStartGame() {
+  if (!currentReplay) return;
+  currentReplay.games.push({ states: [], log: [] });
+}
+
+//
+function replayCurrentGame() {
+  if (!currentReplay || currentReplay.games.length == 0) return undefined;
+  return currentReplay.games[currentReplay.games.length - 1];
+}
+
+//
+function replayRecordState(gameState) {
+  let game = replayCurrentGame();
+  if (!game) return;
+
+  let state = { id: gameState.gameStateId, type: gameState.type };
+  if (gameState.turnInfo) {
+    state.turn = {
+      turnNumber: gameState.turnInfo.turnNumber,
+      phase: gameState.turnInfo.phase,
+      step: gameState.turnInfo.step,
+      activePlayer: gameState.turnInfo.activePlayer
+    };
+  }
+  if (gameState.zones) {
+    state.zones = gameState.zones.map(zone => ({
+      zoneId: zone.zoneId,
+      type: zone.type,
+      ownerSeatId: zone.ownerSeatId,
+      objectInstanceIds: zone.objectInstanceIds
+    }));
+  }
+  if (gameState.gameObjects) {
+    state.objects = gameState.gameObjects
+      .filter(obj => obj.type == "GameObjectType_Card")
+      .map(obj => ({
+        instanceId: obj.instanceId,
+        grpId: obj.grpId,
+        zoneId: obj.zoneId,
+        controllerSeatId: obj.controllerSeatId,
+        isTapped: obj.isTapped
+      }));
+  }
+  if (gameState.players) {
+    state.life = {};
+    gameState.players.forEach(player => {
+      state.life[player.controllerSeatId] = player.lifeTotal;
+    });
+  }
+  if (gameState.diffDeletedInstanceIds) {
+    state.deleted = gameState.diffDeletedInstanceIds;
+  }
+  game.states.push(state);
+}
+
+// Log lines point to the number of states recorded when they were logged
+function replayRecordLog(seat, time, str) {
+  let game = replayCurrentGame();
+  if (!game) return;
+  game.log.push({
+    state: game.states.length,
+    seat: seat,
+    time: time,
+    str: str
+  });
+}
+
+//
+function saveReplay() {
+  if (!currentReplay || currentReplay.matchId != currentMatch.matchId) return;
+  currentReplay.player = {
+    name: playerData.name,
+    seat: currentMatch.player.seat
+  };
+  currentReplay.opponent = {
+    name: currentMatch.opponent.name,
+    seat: currentMatch.opponent.seat
+  };
+  try {
+    fs.writeFileSync(
+      matchFilePath(replaysDir, currentReplay.matchId + ".json"),
+      JSON.stringify(currentReplay),
+      "utf-8"
+    );
+  } catch (e) {
+    console.error("Could not save replay", e);
+  }
 }
 
 //
@@ -1582,6 +2158,51 @@ function checkForStartingLibrary() {
   }
 }
 
+// Whether a saved match was against this opponent; by user id when both
+// have one, as screen names can change, by name otherwise
+function isSameOpponent(opponent, matchOpponent) {
+  if (opponent.id && matchOpponent.userid) {
+    return opponent.id == matchOpponent.userid;
+  }
+  return opponent.name == matchOpponent.name;
+}
+
+// Our record against an opponent and what they played the last time we met
+function getOpponentHistory(opponent, matchId) {
+  let result = { matches: 0, wins: 0, losses: 0, last: null };
+  if (history.matches == undefined) return null;
+  history.matches.forEach(id => {
+    let match = history[id];
+    if (!match || match.type != "match" || !match.opponent) return;
+    if (!isSameOpponent(opponent, match.opponent) || id == matchId) return;
+
+    result.matches++;
+    if (match.player.win > match.opponent.win) result.wins++;
+    if (match.player.win < match.opponent.win) result.losses++;
+    if (!result.last || new Date(match.date) > new Date(result.last.date)) {
+      result.last = {
+        date: match.date,
+        eventId: match.eventId,
+        archetype: match.oppDeck ? match.oppDeck.archetype : "-",
+        cards: match.oppDeck ? match.oppDeck.mainDeck : []
+      };
+    }
+  });
+  return result.matches > 0 ? result : null;
+}
+
+// Sends our history with the current opponent to the overlay. Not while
+// reading the old log entries, the overlay is not shown for those matches
+// and looking through the whole history for each one adds up.
+function sendOpponentHistory() {
+  if (firstPass) return;
+  ipc_send(
+    "set_opponent_history",
+    getOpponentHistory(currentMatch.opponent, currentMatch.matchId),
+    windowOverlay
+  );
+}
+
 //
 function createMatch(arg) {
   actionLog(-99, new Date(), "");
@@ -1610,16 +2231,19 @@ function createMatch(arg) {
   currentMatch.matchId = arg.matchId + "-" + playerData.arenaId;
 
   currentMatch.beginTime = matchBeginTime;
+  currentReplay = { matchId: currentMatch.matchId, games: [] };
 
   currentMatch.lastPriorityChangeTime = matchBeginTime;
   matchGameStats = [];
   matchCompletedOnGameNumber = 0;
   gameNumberCompleted = 0;
   gameStage = "";
+  matchOppCardCounts = {};
 
   ipc_send("ipc_log", "vs " + currentMatch.opponent.name);
   ipc_send("set_timer", currentMatch.beginTime, windowOverlay);
   ipc_send("set_opponent", currentMatch.opponent.name, windowOverlay);
+  sendOpponentHistory();
   ipc_send(
     "set_opponent_rank",
     get_rank_index(currentMatch.opponent.rank, currentMatch.opponent.tier),
@@ -1658,6 +2282,7 @@ function createDraft() {
   ipc_send("set_draft", true, windowOverlay);
   ipc_send("set_timer", -1, windowOverlay);
   ipc_send("set_opponent", "", windowOverlay);
+  ipc_send("set_opponent_history", null, windowOverlay);
 }
 
 //
@@ -1698,6 +2323,12 @@ function update_deck(force) {
     if (overlayDeckMode == 4) {
       ipc_send("set_deck", currentMatch.playerCards, windowOverlay);
     }
+    if (overlayDeckMode == 5) {
+      ipc_send("set_deck", getOppDeck(true), windowOverlay);
+    }
+    if (overlayDeckMode == 6) {
+      ipc_send("set_deck", getOppZones(), windowOverlay);
+    }
     lastDeckUpdate = nd;
   }
 }
@@ -1872,80 +2503,205 @@ function forceDeckUpdate(removeUsed = true) {
   }
 }
 
+// Our own archetypes of a format first, then the ones from the server
+function getArchetypeDefinitions(format) {
+  if (!format) return [];
+  return (local_archetypes[format] || []).concat(deck_archetypes[format] || []);
+}
+
+// Tag of the archetype whose list covers most of the given cards, or "-".
+// Local definitions win whenever any of them matches at all.
+function getArchetypeMatch(mainDeck, format) {
+  if (!format) return "-";
+  let match = getBestArchetype(mainDeck, local_archetypes[format]);
+  if (match == "-") {
+    match = getBestArchetype(mainDeck, deck_archetypes[format]);
+  }
+  return match;
+}
+
 //
-function getOppDeck() {
-  //var oppDeck = {mainDeck: [], sideboard : []};
-  var doAdd = true;
-  currentMatch.opponent.deck = { mainDeck: [], sideboard: [] };
-  currentMatch.opponent.deck.name = currentMatch.opponent.name;
-  //console.log("Deck "+currentMatch.opponent.name;);
-  Object.keys(currentMatch.gameObjs).forEach(function(key) {
-    if (currentMatch.gameObjs[key] != undefined) {
-      if (
-        currentMatch.zones[currentMatch.gameObjs[key].zoneId].type !=
-        "ZoneType_Limbo"
-      ) {
-        //console.log(cardsDb.get(currentMatch.gameObjs[key].grpId), cardsDb.get(currentMatch.gameObjs[key].grpId).name, currentMatch.zones[currentMatch.gameObjs[key].zoneId].type, currentMatch.gameObjs[key]);
-        if (
-          currentMatch.gameObjs[key].ownerSeatId ==
-            currentMatch.opponent.seat &&
-          currentMatch.gameObjs[key].type != "GameObjectType_SplitLeft" &&
-          currentMatch.gameObjs[key].type != "GameObjectType_SplitRight" &&
-          currentMatch.gameObjs[key].type != "GameObjectType_Token" &&
-          currentMatch.gameObjs[key].type != "GameObjectType_Ability"
-        ) {
-          doAdd = true;
-          currentMatch.opponent.deck.mainDeck.forEach(function(card) {
-            if (card.id == currentMatch.gameObjs[key].grpId) {
-              doAdd = false;
-              //card.quantity += 1;
-            }
-          });
-          if (doAdd) {
-            if (cardsDb.get(currentMatch.gameObjs[key].grpId) != false) {
-              currentMatch.opponent.deck.mainDeck.push({
-                id: currentMatch.gameObjs[key].grpId,
-                quantity: 9999
-              });
-            }
-          }
+function getBestArchetype(mainDeck, possible) {
+  let bestMatch = "-";
+  if (!possible) return bestMatch;
+  possible.sort(compare_archetypes);
+
+  let bestMatchRate = 0;
+  possible.forEach(arch => {
+    let found = 0;
+    arch.cards.forEach(card => {
+      let dbCard = cardsDb.get(card.id);
+      if (!dbCard) return;
+      let cName = dbCard.name;
+
+      mainDeck.forEach(oppCard => {
+        let oppDbCard = cardsDb.get(oppCard.id);
+        if (oppDbCard && cName == oppDbCard.name) {
+          found += card.quantity / arch.average;
         }
-      }
+      });
+    });
+    if (found > bestMatchRate) {
+      bestMatchRate = found;
+      bestMatch = arch.tag;
     }
   });
+  return bestMatch;
+}
+
+// The opponent deck as seen so far in the match, with the copies of each
+// card we know about.
+// With `withPrediction`, the deck also gets a ranked list of the archetypes
+// it may be (with confidences) and the cards we have not seen yet but are
+// likely to be in it.
+function getOppDeck(withPrediction = false) {
+  currentMatch.opponent.deck = { mainDeck: [], sideboard: [] };
+  currentMatch.opponent.deck.name = currentMatch.opponent.name;
+
+  let counts = getMatchOppCardCounts();
+  Object.keys(counts).forEach(grpId => {
+    currentMatch.opponent.deck.mainDeck.push({
+      id: parseInt(grpId),
+      quantity: counts[grpId]
+    });
+  });
 
   //
   let format = eventsToFormat[currentMatch.eventId];
-  currentMatch.opponent.deck.archetype = "-";
-  if (format && deck_archetypes[format]) {
-    deck_archetypes[format].sort(compare_archetypes);
-
-    let possible = deck_archetypes[format];
-    let bestMatch = "-";
-    let bestMatchRate = 0;
-    possible.forEach(arch => {
-      let found = 0;
-      arch.cards.forEach(card => {
-        let cName = cardsDb.get(card.id).name;
-
-        currentMatch.opponent.deck.mainDeck.forEach(oppCard => {
-          let oName = cardsDb.get(oppCard.id).name;
-          if (cName == oName) {
-            found += card.quantity / arch.average;
-          }
-        });
-      });
-      if (found > bestMatchRate) {
-        bestMatchRate = found;
-        bestMatch = arch.tag;
-      }
-    });
-    currentMatch.opponent.deck.archetype = bestMatch;
+  currentMatch.opponent.deck.archetype = getArchetypeMatch(
+    currentMatch.opponent.deck.mainDeck,
+    format
+  );
+
+  if (withPrediction) {
+    let prediction = predictOppDeck(currentMatch.opponent.deck, format);
+    currentMatch.opponent.deck.archetypes = prediction.archetypes;
+    currentMatch.opponent.deck.likelyCards = prediction.likelyCards;
   }
 
   return currentMatch.opponent.deck;
 }
 
+// Game objects that stand for a card of a deck, not a token, an ability or
+// one half of a split card
+function isDeckCard(obj) {
+  return (
+    obj.type != "GameObjectType_SplitLeft" &&
+    obj.type != "GameObjectType_SplitRight" &&
+    obj.type != "GameObjectType_Token" &&
+    obj.type != "GameObjectType_Ability"
+  );
+}
+
+// Zones where the cards of the opponent can be seen, in the order the
+// overlay lists them. Battlefield and exile are shared by both seats.
+const oppZoneTitles = [
+  ["ZoneType_Battlefield", "Battlefield"],
+  ["ZoneType_Graveyard", "Graveyard"],
+  ["ZoneType_Exile", "Exile"],
+  ["ZoneType_Hand", "Revealed hand"]
+];
+
+// Every card of the opponent we can see right now, grouped by zone, with the
+// number of copies in each. mainDeck has the totals of all zones.
+function getOppZones() {
+  let seat = currentMatch.opponent.seat;
+  let oppZones = {
+    name: currentMatch.opponent.name,
+    mainDeck: [],
+    sideboard: [],
+    zones: []
+  };
+  let totals = {};
+
+  oppZoneTitles.forEach(([type, title]) => {
+    let zone = currentMatch.zones[type + seat] || currentMatch.zones[type];
+    if (!zone || !zone.objectInstanceIds) return;
+
+    let counts = {};
+    zone.objectInstanceIds.forEach(id => {
+      let obj = currentMatch.gameObjs[id];
+      if (!obj || obj.ownerSeatId != seat || !isDeckCard(obj)) return;
+      if (cardsDb.get(obj.grpId) == false) return;
+      counts[obj.grpId] = (counts[obj.grpId] || 0) + 1;
+      totals[obj.grpId] = (totals[obj.grpId] || 0) + 1;
+    });
+
+    let cards = Object.keys(counts).map(grpId => {
+      return { id: parseInt(grpId), quantity: counts[grpId] };
+    });
+    oppZones.zones.push({ type: type, title: title, cards: cards });
+  });
+
+  oppZones.mainDeck = Object.keys(totals).map(grpId => {
+    return { id: parseInt(grpId), quantity: totals[grpId] };
+  });
+  return oppZones;
+}
+
+// Scores every archetype of the format by how much of its list the cards
+// seen so far cover, and by how many of those cards actually belong to it.
+// Unseen cards get the summed confidence of the archetypes playing them.
+function predictOppDeck(oppDeck, format) {
+  let prediction = { archetypes: [], likelyCards: [] };
+  let definitions = getArchetypeDefinitions(format);
+  if (definitions.length == 0) return prediction;
+
+  let seenNames = [];
+  oppDeck.mainDeck.forEach(card => {
+    let dbCard = cardsDb.get(card.id);
+    if (dbCard && !seenNames.includes(dbCard.name)) {
+      seenNames.push(dbCard.name);
+    }
+  });
+  if (seenNames.length == 0) return prediction;
+
+  let scores = definitions.map(arch => {
+    let coverage = 0;
+    let matched = 0;
+    arch.cards.forEach(card => {
+      let dbCard = cardsDb.get(card.id);
+      if (dbCard && seenNames.includes(dbCard.name)) {
+        coverage += card.quantity / arch.average;
+        matched++;
+      }
+    });
+    return { arch, score: coverage * (matched / seenNames.length) };
+  });
+
+  let total = scores.reduce((acc, cur) => acc + cur.score, 0);
+  if (total == 0) return prediction;
+
+  let cardChances = {};
+  scores
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .forEach(entry => {
+      let confidence = entry.score / total;
+      prediction.archetypes.push({
+        tag: entry.arch.tag,
+        confidence: Math.round(confidence * 100)
+      });
+
+      entry.arch.cards.forEach(card => {
+        let dbCard = cardsDb.get(card.id);
+        if (!dbCard || seenNames.includes(dbCard.name)) return;
+        cardChances[card.id] = (cardChances[card.id] || 0) + confidence;
+      });
+    });
+
+  prediction.likelyCards = Object.keys(cardChances)
+    .map(id => ({
+      id: parseInt(id),
+      chance: Math.round(Math.min(cardChances[id], 1) * 100)
+    }))
+    .filter(card => card.chance > 0)
+    .sort((a, b) => b.chance - a.chance)
+    .slice(0, 20);
+
+  return prediction;
+}
+
 //
 function saveEconomyTransaction(transaction) {
   let id = transaction.id;
@@ -1994,6 +2750,7 @@ function saveMatch(matchId) {
   if (currentMatch.matchTime == 0 || currentMatch.matchId != matchId) {
     return;
   }
+  saveActionLogEvents();
 
   let pw = 0;
   let ow = 0;
@@ -2043,6 +2800,7 @@ function saveMatch(matchId) {
   match.bestOf = currentMatch.bestOf;
 
   match.gameStats = matchGameStats;
+  saveReplay();
 
   // Convert string "2.2.19" into number for easy comparison, 1 byte per part, allowing for versions up to 255.255.255
   match.toolVersion = electron.remote.app
@@ -0,0 +1,197 @@
+// Loads the background window scripts (util.js, labels.js and background.js)
+// into a plain Node context, with the Electron APIs, the config store and
+// the http api replaced by offline stand-ins. This lets the log handlers run
+// without any Electron window, for scripts and tests.
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { createRequire } = require("module");
+
+const SCRIPTS = ["../shared/util.js", "labels.js", "background.js"];
+
+// Keeps everything in memory but behaves like the Conf based store.js;
+// values are serialized on the way in and out, just like they are on disk.
+class MemoryStore {
+  constructor(opts = {}) {
+    this.configName = opts.configName;
+    this.store = copy(opts.defaults || {});
+  }
+
+  get(key) {
+    if (key === undefined) return copy(this.store);
+    let value = this.store;
+    for (let part of key.split(".")) {
+      if (value === undefined || value === null) return undefined;
+      value = value[part];
+    }
+    return copy(value);
+  }
+
+  set(key, value) {
+    const parts = key.split(".");
+    const last = parts.pop();
+    let obj = this.store;
+    parts.forEach(part => {
+      if (typeof obj[part] !== "object" || obj[part] === null) {
+        obj[part] = {};
+      }
+      obj = obj[part];
+    });
+    obj[last] = copy(value);
+  }
+
+  delete(key) {
+    const parts = key.split(".");
+    const last = parts.pop();
+    let obj = this.store;
+    for (let part of parts) {
+      obj = obj[part];
+      if (typeof obj !== "object" || obj === null) return;
+    }
+    delete obj[last];
+  }
+
+  has(key) {
+    return this.get(key) !== undefined;
+  }
+
+  openInEditor() {}
+}
+
+function copy(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// Any method called on it does nothing
+const noopModule = new Proxy({}, { get: () => () => undefined });
+
+function electronStub(userDataPath, appVersion) {
+  const app = {
+    getPath: () => userDataPath,
+    getVersion: () => appVersion,
+    isPackaged: true
+  };
+  return {
+    app: undefined,
+    remote: { app },
+    ipcRenderer: { on: () => {}, send: () => {} },
+    clipboard: { writeText: () => {} },
+    net: {}
+  };
+}
+
+// Just enough of the DOM for stripTags() in util.js
+const documentStub = {
+  createElement: () => {
+    let html = "";
+    return {
+      get innerHTML() {
+        return html;
+      },
+      set innerHTML(value) {
+        html = value;
+      },
+      get textContent() {
+        return html.replace(/<[^>]*>/g, "");
+      }
+    };
+  }
+};
+
+function fixedDate(now) {
+  const time = new Date(now).getTime();
+  return class extends Date {
+    constructor(...args) {
+      super(...(args.length ? args : [time]));
+    }
+
+    static now() {
+      return time;
+    }
+  };
+}
+
+// A vm context with the globals the background window scripts expect.
+// When `now` is given, every `new Date()` in the scripts returns that time,
+// so the results do not depend on when they ran.
+function createContext({ userDataPath, console: logger = console, now }) {
+  const appVersion = require("../package.json").version;
+  const baseRequire = createRequire(path.join(__dirname, "index.html"));
+  const stubs = {
+    electron: electronStub(userDataPath, appVersion),
+    "../store.js": MemoryStore,
+    "./http-api": noopModule,
+    "./manifest-parser": noopModule
+  };
+
+  // Modules required further down (like shared/database.js) resolve
+  // electron through Node itself, so they get the stub from the cache.
+  const electronPath = baseRequire.resolve("electron");
+  baseRequire.cache[electronPath] = {
+    id: electronPath,
+    filename: electronPath,
+    loaded: true,
+    exports: stubs.electron
+  };
+
+  const window = {
+    onerror: null,
+    setInterval: () => 0,
+    clearInterval: () => {}
+  };
+
+  const sandbox = {
+    window,
+    document: documentStub,
+    console: logger,
+    require: id => (id in stubs ? stubs[id] : baseRequire(id)),
+    process: {
+      env: process.env,
+      platform: process.platform,
+      on: () => {}
+    },
+    Buffer,
+    setTimeout,
+    clearTimeout,
+    setInterval: window.setInterval,
+    clearInterval: window.clearInterval
+  };
+  if (now !== undefined) {
+    sandbox.Date = fixedDate(now);
+  }
+  return vm.createContext(sandbox);
+}
+
+function runScripts(context, scripts) {
+  scripts.forEach(script => {
+    const filename = path.join(__dirname, script);
+    vm.runInContext(fs.readFileSync(filename, "utf-8"), context, { filename });
+  });
+}
+
+// Returns the vm context holding only the shared/util.js globals, for the
+// helpers that do not need the rest of the background.
+function loadUtil(options = {}) {
+  const context = createContext(options);
+  runScripts(context, [SCRIPTS[0]]);
+  return context;
+}
+
+// Returns the vm context holding all the background globals
+// (onLogEntryFound, store, history, currentMatch, etc).
+function loadBackground(options) {
+  const context = createContext(options);
+  runScripts(context, SCRIPTS);
+
+  // What loadPlayerConfig() would do for an empty player config
+  context.history.matches = [];
+  context.drafts.matches = [];
+  context.events.courses = [];
+  context.economy.changes = [];
+  context.decks.index = [];
+
+  return context;
+}
+
+module.exports = { loadBackground, loadUtil, MemoryStore };
@@ -12,6 +12,7 @@ global
   store,
   makeId,
   debugLog,
+  replaying,
   syncUserData
 */
 const async = require("async");
@@ -431,7 +432,10 @@ function httpAuth(user, pass) {
   });
 }
 
+// The submits below do nothing while a saved log is replayed, see replaying
+// in background.js
 function httpSubmitCourse(course) {
+  if (replaying) return;
   var _id = makeId(6);
   if (store.get("settings").anon_explore == true) {
     course.PlayerId = "000000000000000";
@@ -505,6 +509,7 @@ function httpGetCourse(courseId) {
 }
 
 function httpSetMatch(match) {
+  if (replaying) return;
   var _id = makeId(6);
   match = JSON.stringify(match);
   httpAsync.push({
@@ -516,6 +521,7 @@ function httpSetMatch(match) {
 }
 
 function httpSetDraft(draft) {
+  if (replaying) return;
   var _id = makeId(6);
   draft = JSON.stringify(draft);
   httpAsync.push({
@@ -527,6 +533,7 @@ function httpSetDraft(draft) {
 }
 
 function httpSetEconomy(change) {
+  if (replaying) return;
   var _id = makeId(6);
   change = JSON.stringify(change);
   httpAsync.push({
@@ -538,6 +545,7 @@ function httpSetEconomy(change) {
 }
 
 function httpSendError(error) {
+  if (replaying) return;
   var _id = makeId(6);
   error = JSON.stringify(error);
   httpAsync.push({
@@ -621,6 +629,7 @@ function httpTournamentDrop(tid) {
 }
 
 function httpTournamentCheck(deck, opp, setCheck, bo3 = "", playFirst = "") {
+  if (replaying) return;
   var _id = makeId(6);
   deck = JSON.stringify(deck);
   httpAsync.unshift({
@@ -636,6 +645,7 @@ function httpTournamentCheck(deck, opp, setCheck, bo3 = "", playFirst = "") {
 }
 
 function httpSetMythicRank(opp, rank) {
+  if (replaying) return;
   var _id = makeId(6);
   httpAsync.push({
     reqId: _id,
@@ -647,6 +657,7 @@ function httpSetMythicRank(opp, rank) {
 }
 
 function httpSetDeckTag(tag, cards, format) {
+  if (replaying) return;
   var _id = makeId(6);
   cards.forEach(card => {
     card.quantity = 1;
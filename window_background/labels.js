@@ -1,5 +1,28 @@
 /* eslint-disable */
 
+// Handlers for each log label, keyed by label name. Every handler is
+// registered with the arrow direction it accepts ("<==", "==>" or null for
+// any), so new API versions or experimental handlers only need one line.
+const labelHandlers = {};
+
+function registerLabelHandler(label, arrow, handler) {
+  if (!labelHandlers[label]) labelHandlers[label] = [];
+  labelHandlers[label].push({ arrow, handler });
+}
+
+function unregisterLabelHandler(label, handler) {
+  if (!labelHandlers[label]) return;
+  labelHandlers[label] = labelHandlers[label].filter(
+    registered => registered.handler !== handler
+  );
+}
+
+function getLabelHandlers(entry) {
+  return (labelHandlers[entry.label] || [])
+    .filter(registered => !registered.arrow || registered.arrow == entry.arrow)
+    .map(registered => registered.handler);
+}
+
 function onLabelOutLogInfo(entry, json) {
   if (!json) return;
   if (skipMatch) return;
@@ -75,6 +98,24 @@ function onLabelOutLogInfo(entry, json) {
         game.deck = JSON.parse(JSON.stringify(currentMatch.player.deck));
       }
 
+      // Older logs have no starting team, so fall back to who had turn 1
+      let startingSeat = payload.startingTeamId || gameStartingSeat;
+      if (startingSeat) {
+        game.onThePlay = startingSeat == currentMatch.player.seat;
+      }
+      if (payload.winningTeamId) {
+        game.win = payload.winningTeamId == currentMatch.player.seat;
+      }
+      game.cardsSeen = Object.keys(gameCardsSeen).map(id => parseInt(id));
+      game.cardsPlayed = gameCardsPlayed;
+      matchOppCardCounts = getMatchOppCardCounts();
+      recordTimelineTurn(currentMatch.turn.turnNumber);
+      game.timeline = gameTimeline;
+      game.mulligans = payload.mulliganedHands.length;
+      game.turns = payload.turnCount || currentMatch.turn.turnNumber;
+      game.playerLife = playerLife;
+      game.opponentLife = opponentLife;
+
       game.handLands = game.handsDrawn.map(
         hand =>
           hand.filter(card => cardsDb.get(card).type.includes("Land")).length
@@ -127,6 +168,7 @@ function onLabelOutLogInfo(entry, json) {
     }
   }
 }
+registerLabelHandler("Log.Info", "==>", onLabelOutLogInfo);
 
 function onLabelGreToClient(entry, json) {
   if (!json) return;
@@ -150,30 +192,33 @@ function onLabelGreToClient(entry, json) {
         let att = obj.attackerInstanceId;
         if (!attackersDetected.includes(att)) {
           if (currentMatch.gameObjs[att] != undefined) {
-            let str =
-              actionLogGenerateLink(currentMatch.gameObjs[att].grpId) +
-              " attacked ";
             let rec;
             if (obj.selectedDamageRecipient !== undefined) {
               rec = obj.selectedDamageRecipient;
               if (rec.type == "DamageRecType_Player") {
-                actionLog(
+                actionLogEvent(
+                  "attack",
                   currentMatch.gameObjs[att].controllerSeatId,
                   new Date(),
-                  str + getNameBySeat(rec.playerSystemSeatId)
+                  {
+                    grpId: currentMatch.gameObjs[att].grpId,
+                    targetSeat: rec.playerSystemSeatId
+                  }
                 );
-                //ipc_send("", str+getNameBySeat(rec.playerSystemSeatId));
               }
             }
             if (obj.legalDamageRecipients !== undefined) {
               rec = obj.legalDamageRecipients.forEach(function(rec) {
                 if (rec.type == "DamageRecType_Player") {
-                  actionLog(
+                  actionLogEvent(
+                    "attack",
                     currentMatch.gameObjs[att].controllerSeatId,
                     new Date(),
-                    str + getNameBySeat(rec.playerSystemSeatId)
+                    {
+                      grpId: currentMatch.gameObjs[att].grpId,
+                      targetSeat: rec.playerSystemSeatId
+                    }
                   );
-                  //ipc_send("ipc_log", str+getNameBySeat(rec.playerSystemSeatId));
                 }
               });
             }
@@ -183,11 +228,30 @@ function onLabelGreToClient(entry, json) {
       });
     }
 
+    // Declare blockers message
+    if (msg.type == "GREMessageType_DeclareBlockersReq") {
+      msg.declareBlockersReq.blockers.forEach(function(obj) {
+        let blocker = currentMatch.gameObjs[obj.blockerInstanceId];
+        if (blocker == undefined || !obj.selectedAttackerInstanceIds) return;
+        obj.selectedAttackerInstanceIds.forEach(function(att) {
+          let key = obj.blockerInstanceId + "-" + att;
+          if (blockersDetected.includes(key)) return;
+          if (currentMatch.gameObjs[att] == undefined) return;
+          actionLogEvent("block", blocker.controllerSeatId, new Date(), {
+            grpId: blocker.grpId,
+            targetGrpId: currentMatch.gameObjs[att].grpId
+          });
+          blockersDetected.push(key);
+        });
+      });
+    }
+
     // An update about the game state, can either be;
     // - A change (diff)
     // - The entire board state (full)
     // - binary (we dont check that one)
     if (msg.type == "GREMessageType_GameStateMessage") {
+      let mulligansOver = false;
       if (msg.gameStateMessage.gameInfo) {
         let gameInfo = msg.gameStateMessage.gameInfo;
         if (gameInfo.stage && gameInfo.stage != gameStage) {
@@ -195,6 +259,7 @@ function onLabelGreToClient(entry, json) {
           if (gameStage == "GameStage_Start") {
             resetGameState();
           }
+          mulligansOver = gameStage == "GameStage_Play";
         }
         if (gameInfo.matchWinCondition) {
           if (
@@ -213,6 +278,7 @@ function onLabelGreToClient(entry, json) {
           }
         }
       }
+      replayRecordState(msg.gameStateMessage);
 
       if (msg.gameStateMessage.type == "GameStateType_Full") {
         // For the full board state we only update the zones
@@ -260,15 +326,21 @@ function onLabelGreToClient(entry, json) {
             currentMatch.prevTurn !== currentMatch.turn.turnNumber
           ) {
             attackersDetected = [];
-            actionLog(
-              -1,
-              new Date(),
-              getNameBySeat(currentMatch.turn.activePlayer) +
-                "'s turn begin. (#" +
-                currentMatch.turn.turnNumber +
-                ")"
-            );
-            //ipc_send("ipc_log", playerName+"'s turn begin. (#"+turnNumber+")");
+            blockersDetected = [];
+            if (currentMatch.turn.turnNumber == 1) {
+              gameStartingSeat = currentMatch.turn.activePlayer;
+            }
+            // The rest of this message is not applied yet, so the board
+            // is still the one at the end of the previous turn
+            if (
+              currentMatch.prevTurn > 0 &&
+              currentMatch.prevTurn < currentMatch.turn.turnNumber
+            ) {
+              recordTimelineTurn(currentMatch.prevTurn);
+            }
+            actionLogEvent("turn", -1, new Date(), {
+              targetSeat: currentMatch.turn.activePlayer
+            });
           }
           if (!firstPass) {
             ipc.send(
@@ -302,17 +374,18 @@ function onLabelGreToClient(entry, json) {
                 if (res.scope == "MatchScope_Game") {
                   if (res.result == "ResultType_Draw") {
                     if (index == gameInfo.gameNumber - 1) {
-                      actionLog(-1, new Date(), "The game is a draw!");
+                      actionLogEvent("game_result", -1, new Date(), {
+                        result: "draw"
+                      });
                     }
                     draws += 1;
                   } else {
                     let loser = 0;
                     if (index == gameInfo.gameNumber - 1) {
-                      actionLog(
-                        -1,
-                        new Date(),
-                        getNameBySeat(res.winningTeamId) + " wins!"
-                      );
+                      actionLogEvent("game_result", -1, new Date(), {
+                        result: "win",
+                        targetSeat: res.winningTeamId
+                      });
                     }
                     if (res.winningTeamId == currentMatch.player.seat) {
                       loser = currentMatch.opponent.seat;
@@ -324,21 +397,21 @@ function onLabelGreToClient(entry, json) {
                     }
 
                     if (res.reason == "ResultReason_Concede") {
-                      actionLog(
-                        -1,
-                        new Date(),
-                        getNameBySeat(loser) + " conceded."
-                      );
+                      actionLogEvent("game_result", -1, new Date(), {
+                        result: "concede",
+                        targetSeat: loser
+                      });
                     }
                     if (res.reason == "ResultReason_Timeout") {
-                      actionLog(
-                        -1,
-                        new Date(),
-                        getNameBySeat(loser) + " timed out."
-                      );
+                      actionLogEvent("game_result", -1, new Date(), {
+                        result: "timeout",
+                        targetSeat: loser
+                      });
                     }
                     if (res.reason == "ResultReason_Loop") {
-                      actionLog(-1, new Date(), "Game ended in a loop.");
+                      actionLogEvent("game_result", -1, new Date(), {
+                        result: "loop"
+                      });
                     }
                   }
                 }
@@ -426,27 +499,14 @@ function onLabelGreToClient(entry, json) {
                         currentMatch.gameObjs[aff].type ==
                         "GameObjectType_Ability"
                       ) {
-                        var src = currentMatch.gameObjs[aff].objectSourceGrpId;
-                        var abId = currentMatch.gameObjs[aff].grpId;
-                        var ab = cardsDb.getAbility(abId);
-                        //var cname = "";
-                        try {
-                          ab = replaceAll(
-                            ab,
-                            "CARDNAME",
-                            cardsDb.get(src).name
-                          );
-                        } catch (e) {
-                          //
-                        }
-
-                        actionLog(
+                        actionLogEvent(
+                          "ability",
                           currentMatch.gameObjs[aff].controllerSeatId,
                           new Date(),
-                          actionLogGenerateLink(src) +
-                            '\'s <a class="card_ability click-on" title="' +
-                            ab +
-                            '">ability</a>'
+                          {
+                            grpId: currentMatch.gameObjs[aff].objectSourceGrpId,
+                            abilityId: currentMatch.gameObjs[aff].grpId
+                          }
                         );
                         //ipc_send("ipc_log", cardsDb.get(src).name+"'s ability");
                         //console.log(cardsDb.get(src).name+"'s ability", currentMatch.gameObjs[aff]);
@@ -504,33 +564,27 @@ function onLabelGreToClient(entry, json) {
                           affd == currentMatch.player.seat ||
                           affd == currentMatch.opponent.seat
                         ) {
-                          actionLog(
+                          actionLogEvent(
+                            "damage",
                             currentMatch.gameObjs[aff].controllerSeatId,
                             new Date(),
-                            actionLogGenerateLink(
-                              currentMatch.gameObjs[aff].grpId
-                            ) +
-                              " dealt " +
-                              damage +
-                              " damage to " +
-                              getNameBySeat(affd)
+                            {
+                              grpId: currentMatch.gameObjs[aff].grpId,
+                              amount: damage,
+                              targetSeat: affd
+                            }
                           );
-                          //ipc_send("ipc_log", currentMatch.gameObjs[aff].name+" dealt "+damage+" damage to "+getNameBySeat(affd));
                         } else {
-                          actionLog(
+                          actionLogEvent(
+                            "damage",
                             currentMatch.gameObjs[aff].controllerSeatId,
                             new Date(),
-                            actionLogGenerateLink(
-                              currentMatch.gameObjs[aff].grpId
-                            ) +
-                              " dealt " +
-                              damage +
-                              " damage to " +
-                              actionLogGenerateLink(
-                                currentMatch.gameObjs[affd].grpId
-                              )
+                            {
+                              grpId: currentMatch.gameObjs[aff].grpId,
+                              amount: damage,
+                              targetGrpId: currentMatch.gameObjs[affd].grpId
+                            }
                           );
-                          //ipc_send("ipc_log", currentMatch.gameObjs[aff].name+" dealt "+damage+" damage to "+currentMatch.gameObjs[affd]);
                         }
                       } catch (e) {
                         //
@@ -576,6 +630,8 @@ function onLabelGreToClient(entry, json) {
             try {
               obj.zoneName = currentMatch.zones[obj.zoneId].type;
               currentMatch.gameObjs[obj.instanceId] = obj;
+              recordCardSeen(obj);
+              recordOppCardSeen(obj);
             } catch (e) {
               //
             }
@@ -596,49 +652,27 @@ function onLabelGreToClient(entry, json) {
         // We only read life totals at the moment, but we also get timers and such
         if (msg.gameStateMessage.players != undefined) {
           msg.gameStateMessage.players.forEach(function(obj) {
-            let sign = "";
             let diff;
             if (currentMatch.player.seat == obj.controllerSeatId) {
               diff = obj.lifeTotal - playerLife;
-              if (diff > 0) sign = "+";
-
-              if (diff != 0) {
-                actionLog(
-                  obj.controllerSeatId,
-                  new Date(),
-                  getNameBySeat(obj.controllerSeatId) +
-                    "'s life changed to " +
-                    obj.lifeTotal +
-                    " (" +
-                    sign +
-                    diff +
-                    ")"
-                );
-              }
-
               playerLife = obj.lifeTotal;
             } else {
               diff = obj.lifeTotal - opponentLife;
-              if (diff > 0) sign = "+";
-              if (diff != 0) {
-                actionLog(
-                  obj.controllerSeatId,
-                  new Date(),
-                  getNameBySeat(obj.controllerSeatId) +
-                    "'s life changed to " +
-                    obj.lifeTotal +
-                    " (" +
-                    sign +
-                    diff +
-                    ")"
-                );
-              }
-
               opponentLife = obj.lifeTotal;
             }
+
+            if (diff != 0) {
+              actionLogEvent("life", obj.controllerSeatId, new Date(), {
+                life: obj.lifeTotal,
+                amount: diff
+              });
+            }
           });
         }
       }
+      if (mulligansOver) {
+        recordKeptHand();
+      }
       checkForStartingLibrary();
     }
   });
@@ -649,6 +683,7 @@ function onLabelGreToClient(entry, json) {
   forceDeckUpdate();
   update_deck(false);
 }
+registerLabelHandler("GreToClientEvent", null, onLabelGreToClient);
 
 function onLabelClientToMatchServiceMessageTypeClientToGREMessage(entry, json) {
   if (!json) return;
@@ -694,6 +729,11 @@ function onLabelClientToMatchServiceMessageTypeClientToGREMessage(entry, json) {
     ipc_send("set_deck", currentMatch.player.deck, windowOverlay);
   }
 }
+registerLabelHandler(
+  "ClientToMatchServiceMessageType_ClientToGREMessage",
+  null,
+  onLabelClientToMatchServiceMessageTypeClientToGREMessage
+);
 
 function onLabelInEventGetPlayerCourse(entry, json) {
   if (!json) return;
@@ -713,6 +753,11 @@ function onLabelInEventGetPlayerCourse(entry, json) {
     select_deck(json);
   }
 }
+registerLabelHandler(
+  "Event.GetPlayerCourse",
+  "<==",
+  onLabelInEventGetPlayerCourse
+);
 
 function onLabelInEventGetPlayerCourseV2(entry, json) {
   if (!json) return;
@@ -721,6 +766,11 @@ function onLabelInEventGetPlayerCourseV2(entry, json) {
   }
   onLabelInEventGetPlayerCourse(entry, json);
 }
+registerLabelHandler(
+  "Event.GetPlayerCourseV2",
+  "<==",
+  onLabelInEventGetPlayerCourseV2
+);
 
 function onLabelInEventGetCombinedRankInfo(entry, json) {
   if (!json) return;
@@ -743,6 +793,11 @@ function onLabelInEventGetCombinedRankInfo(entry, json) {
 
   updateRank();
 }
+registerLabelHandler(
+  "Event.GetCombinedRankInfo",
+  "<==",
+  onLabelInEventGetCombinedRankInfo
+);
 
 function onLabelInEventGetActiveEvents(entry, json) {
   if (!json) return;
@@ -750,6 +805,11 @@ function onLabelInEventGetActiveEvents(entry, json) {
   let activeEvents = json.map(event => event.InternalEventName);
   ipc_send("set_active_events", JSON.stringify(activeEvents));
 }
+registerLabelHandler(
+  "Event.GetActiveEventsV2",
+  "<==",
+  onLabelInEventGetActiveEvents
+);
 
 function onLabelRankUpdated(entry, json) {
   if (!json) return;
@@ -766,6 +826,7 @@ function onLabelRankUpdated(entry, json) {
 
   updateRank();
 }
+registerLabelHandler("Rank.Updated", null, onLabelRankUpdated);
 
 function onLabelInDeckGetDeckLists(entry, json) {
   if (!json) return;
@@ -790,11 +851,13 @@ function onLabelInDeckGetDeckLists(entry, json) {
   requestHistorySend(0);
   ipc_send("set_decks", JSON.stringify(decks));
 }
+registerLabelHandler("Deck.GetDeckLists", "<==", onLabelInDeckGetDeckLists);
 
 function onLabelInDeckGetDeckListsV3(entry, json) {
   if (!json) return;
   onLabelInDeckGetDeckLists(entry, json.map(d => convert_deck_from_v3(d)));
 }
+registerLabelHandler("Deck.GetDeckListsV3", "<==", onLabelInDeckGetDeckListsV3);
 
 function onLabelInEventGetPlayerCourses(entry, json) {
   if (!json) return;
@@ -813,6 +876,11 @@ function onLabelInEventGetPlayerCourses(entry, json) {
     }
   });
 }
+registerLabelHandler(
+  "Event.GetPlayerCourses",
+  "<==",
+  onLabelInEventGetPlayerCourses
+);
 
 function onLabelInEventGetPlayerCoursesV2(entry, json) {
   if (!json) return;
@@ -823,6 +891,11 @@ function onLabelInEventGetPlayerCoursesV2(entry, json) {
   });
   onLabelInEventGetPlayerCourses(entry, json);
 }
+registerLabelHandler(
+  "Event.GetPlayerCoursesV2",
+  "<==",
+  onLabelInEventGetPlayerCoursesV2
+);
 
 function onLabelInDeckUpdateDeck(entry, json) {
   if (!json) return;
@@ -901,11 +974,13 @@ function onLabelInDeckUpdateDeck(entry, json) {
     }
   });
 }
+registerLabelHandler("Deck.UpdateDeck", "<==", onLabelInDeckUpdateDeck);
 
 function onLabelInDeckUpdateDeckV3(entry, json) {
   if (!json) return;
   onLabelInDeckUpdateDeck(entry, convert_deck_from_v3(json));
 }
+registerLabelHandler("Deck.UpdateDeckV3", "<==", onLabelInDeckUpdateDeckV3);
 
 // Given a shallow object of numbers and lists return a
 // new object which doesn't contain 0s or empty lists.
@@ -941,6 +1016,7 @@ function onLabelInventoryUpdated(entry, transaction) {
   saveEconomyTransaction(transaction);
   return;
 }
+registerLabelHandler("Inventory.Updated", null, onLabelInventoryUpdated);
 
 function onLabelInPlayerInventoryGetPlayerInventory(entry, json) {
   if (!json) return;
@@ -957,6 +1033,11 @@ function onLabelInPlayerInventoryGetPlayerInventory(entry, json) {
 
   sendEconomy();
 }
+registerLabelHandler(
+  "PlayerInventory.GetPlayerInventory",
+  "<==",
+  onLabelInPlayerInventoryGetPlayerInventory
+);
 
 function onLabelInPlayerInventoryGetPlayerCardsV3(entry, json) {
   if (!json) return;
@@ -992,17 +1073,40 @@ function onLabelInPlayerInventoryGetPlayerCardsV3(entry, json) {
   });
 
   ipc_send("set_cards", { cards: json, new: cardsNewlyAdded });
+  saveCollectionSnapshot(json, parseWotcTime(entry.timestamp));
 }
+registerLabelHandler(
+  "PlayerInventory.GetPlayerCardsV3",
+  "<==",
+  onLabelInPlayerInventoryGetPlayerCardsV3
+);
 
 function onLabelInEventDeckSubmit(entry, json) {
   if (!json) return;
   select_deck(json);
 }
+registerLabelHandler("Event.DeckSubmit", "<==", onLabelInEventDeckSubmit);
 
 function onLabelInEventDeckSubmitV3(entry, json) {
   if (!json) return;
   onLabelInEventDeckSubmit(entry, convert_deck_from_v3(json));
 }
+registerLabelHandler("Event.DeckSubmitV3", "<==", onLabelInEventDeckSubmitV3);
+
+function onLabelInEventGrantCardPool(entry, json) {
+  if (!json) return;
+  setCardPool(
+    json.Id,
+    json.InternalEventName,
+    json.CardPool,
+    parseWotcTime(entry.timestamp)
+  );
+}
+registerLabelHandler(
+  "Event.GrantCardPool",
+  "<==",
+  onLabelInEventGrantCardPool
+);
 
 function onLabelEventMatchCreated(entry, json) {
   if (!json) return;
@@ -1020,6 +1124,7 @@ function onLabelEventMatchCreated(entry, json) {
     createMatch(json);
   }
 }
+registerLabelHandler("Event.MatchCreated", null, onLabelEventMatchCreated);
 
 function onLabelOutDirectGameChallenge(entry, json) {
   if (!json) return;
@@ -1032,6 +1137,11 @@ function onLabelOutDirectGameChallenge(entry, json) {
 
   httpApi.httpTournamentCheck(deck, json.params.opponentDisplayName, false, json.params.playFirst, json.params.bo3);
 }
+registerLabelHandler(
+  "DirectGame.Challenge",
+  "==>",
+  onLabelOutDirectGameChallenge
+);
 
 function onLabelInDraftDraftStatus(entry, json) {
   if (!json) return;
@@ -1051,12 +1161,18 @@ function onLabelInDraftDraftStatus(entry, json) {
   ) {
     createDraft();
   }
+  startDraftPick(
+    json.packNumber,
+    json.pickNumber,
+    parseWotcTime(entry.timestamp)
+  );
   currentDraft.packNumber = json.packNumber;
   currentDraft.pickNumber = json.pickNumber;
   currentDraft.pickedCards = json.pickedCards;
   currentDraft.currentPack = json.draftPack.slice(0);
   setDraftCards(currentDraft);
 }
+registerLabelHandler("Draft.DraftStatus", "<==", onLabelInDraftDraftStatus);
 
 function onLabelInDraftMakePick(entry, json) {
   if (!json) return;
@@ -1074,6 +1190,11 @@ function onLabelInDraftMakePick(entry, json) {
     if (currentDraft == undefined) {
       createDraft();
     }
+    startDraftPick(
+      json.packNumber,
+      json.pickNumber,
+      parseWotcTime(entry.timestamp)
+    );
     currentDraft.packNumber = json.packNumber;
     currentDraft.pickNumber = json.pickNumber;
     currentDraft.pickedCards = json.pickedCards;
@@ -1081,6 +1202,7 @@ function onLabelInDraftMakePick(entry, json) {
     setDraftCards(currentDraft);
   }
 }
+registerLabelHandler("Draft.MakePick", "<==", onLabelInDraftMakePick);
 
 function onLabelOutDraftMakePick(entry, json) {
   if (!json) return;
@@ -1088,10 +1210,29 @@ function onLabelOutDraftMakePick(entry, json) {
   var value = {};
   value.pick = json.params.cardId;
   value.pack = currentDraft.currentPack;
+  let packNumber = parseInt(json.params.packNumber);
+  let pickNumber = parseInt(json.params.pickNumber);
+
+  // how long we looked at the pack before picking
+  value.time = parseWotcTime(entry.timestamp);
+  if (
+    draftPickStart &&
+    draftPickStart.packNumber == packNumber &&
+    draftPickStart.pickNumber == pickNumber
+  ) {
+    value.duration = Math.round((value.time - draftPickStart.time) / 1000);
+  }
+
+  let lap = getDraftLap(packNumber, pickNumber, value.pack);
+  if (lap) {
+    value.wheeled = lap.wheeled;
+    value.taken = lap.taken;
+  }
+
   var key = "pack_" + json.params.packNumber + "pick_" + json.params.pickNumber;
   currentDraft[key] = value;
-  debugLogSpeed = 200;
 }
+registerLabelHandler("Draft.MakePick", "==>", onLabelOutDraftMakePick);
 
 function onLabelInEventCompleteDraft(entry, json) {
   if (!json) return;
@@ -1105,7 +1246,14 @@ function onLabelInEventCompleteDraft(entry, json) {
   currentDraft.draftId = json.Id;
   console.log("Complete draft", json);
   saveDraft();
+  setCardPool(
+    json.Id,
+    json.InternalEventName,
+    json.CardPool,
+    parseWotcTime(entry.timestamp)
+  );
 }
+registerLabelHandler("Event.CompleteDraft", "<==", onLabelInEventCompleteDraft);
 
 function onLabelMatchGameRoomStateChangedEvent(entry, json) {
   if (!json) return;
@@ -1130,6 +1278,8 @@ function onLabelMatchGameRoomStateChangedEvent(entry, json) {
         currentMatch.opponent.seat = player.systemSeatId;
       }
     });
+    // now that we know the user id of the opponent
+    sendOpponentHistory();
   }
   if (json.stateType == "MatchGameRoomStateType_MatchCompleted") {
     playerWin = 0;
@@ -1176,6 +1326,11 @@ function onLabelMatchGameRoomStateChangedEvent(entry, json) {
     });
   }
 }
+registerLabelHandler(
+  "MatchGameRoomStateChangedEvent",
+  null,
+  onLabelMatchGameRoomStateChangedEvent
+);
 
 function onLabelInEventGetSeasonAndRankDetail(entry, json) {
   if (!json) return;
@@ -1204,6 +1359,11 @@ function onLabelInEventGetSeasonAndRankDetail(entry, json) {
   ipc_send("set_season", { starts: season_starts, ends: season_ends });
   updateRank();
 }
+registerLabelHandler(
+  "Event.GetSeasonAndRankDetail",
+  "<==",
+  onLabelInEventGetSeasonAndRankDetail
+);
 
 function onLabelGetPlayerInventoryGetRewardSchedule(entry, json) {
   if (!json) return;
@@ -1217,3 +1377,8 @@ function onLabelGetPlayerInventoryGetRewardSchedule(entry, json) {
     weekly: json.weeklyReset
   });
 }
+registerLabelHandler(
+  "PlayerInventory.GetRewardSchedule",
+  "<==",
+  onLabelGetPlayerInventoryGetRewardSchedule
+);
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+// Command line log extractor, runs the same handlers as the app over saved
+// logs and writes what would have been stored as JSON files.
+//
+// Usage: node window_background/log-extract.js [--out dir] [--verbose] <log>...
+
+const fs = require("fs");
+const path = require("path");
+const ArenaLogDecoder = require("./arena-log-decoder");
+const { loadBackground } = require("./headless-background");
+
+const quietConsole = {
+  log: () => {},
+  info: () => {},
+  warn: () => {},
+  error: (...args) => console.error(...args)
+};
+
+function parseArgs(argv) {
+  const options = { out: process.cwd(), verbose: false, logs: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] == "--out") {
+      options.out = argv[++i];
+    } else if (argv[i] == "--verbose") {
+      options.verbose = true;
+    } else {
+      options.logs.push(argv[i]);
+    }
+  }
+  return options;
+}
+
+// Returns every stored document listed in the given index
+function getIndexed(store, indexKey, prefix = "") {
+  return store
+    .get(indexKey)
+    .map(id => store.get(prefix + id))
+    .filter(doc => doc !== undefined);
+}
+
+function extract(logs, { out, verbose }) {
+  fs.mkdirSync(out, { recursive: true });
+  const background = loadBackground({
+    userDataPath: out,
+    console: verbose ? console : quietConsole
+  });
+
+  logs.forEach(log => {
+    const text = fs.readFileSync(log, "utf-8");
+    const size = text.length;
+    background.processLogUser(text);
+
+    const decoder = new ArenaLogDecoder();
+    decoder.append(text, entry =>
+      background.onLogEntryFound({ ...entry, size })
+    );
+  });
+
+  const store = background.store;
+  const output = {
+    "matches.json": getIndexed(store, "matches_index"),
+    "drafts.json": getIndexed(store, "draft_index"),
+    "courses.json": getIndexed(store, "courses_index"),
+    "economy.json": getIndexed(store, "economy_index"),
+    "deck_changes.json": getIndexed(
+      store,
+      "deck_changes_index",
+      "deck_changes."
+    )
+  };
+
+  Object.keys(output).forEach(file => {
+    fs.writeFileSync(
+      path.join(out, file),
+      JSON.stringify(output[file], null, 2),
+      "utf-8"
+    );
+    console.log(`${file}: ${output[file].length}`);
+  });
+}
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.logs.length == 0) {
+    console.error(
+      "Usage: node window_background/log-extract.js [--out dir] [--verbose] <log>..."
+    );
+    process.exit(1);
+  }
+  extract(options.logs, options);
+}
+
+module.exports = { extract };
@@ -0,0 +1,26 @@
+// Helpers shared by the background specs in __tests__.
+
+const fs = require("fs");
+const path = require("path");
+
+// Given to the scripts under test so their logging does not fill the output
+const quietConsole = {
+  log: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+function removeDir(dir) {
+  fs.readdirSync(dir).forEach(file => {
+    const filePath = path.join(dir, file);
+    if (fs.lstatSync(filePath).isDirectory()) {
+      removeDir(filePath);
+    } else {
+      fs.unlinkSync(filePath);
+    }
+  });
+  fs.rmdirSync(dir);
+}
+
+module.exports = { quietConsole, removeDir };
@@ -0,0 +1,106 @@
+/*
+global
+  actionLogEventToHtml,
+  addCardHover,
+  cardsDb,
+  selectAdd
+*/
+const electron = require("electron");
+const fs = require("fs");
+const path = require("path");
+
+const actionLogDir = path.join(
+  (electron.app || electron.remote.app).getPath("userData"),
+  "actionlogs"
+);
+
+const EVENT_TYPES = {
+  turn: "Turns",
+  cast: "Spells cast",
+  resolve: "Spells resolved",
+  play_land: "Lands played",
+  draw: "Draws",
+  ability: "Abilities",
+  attack: "Attacks",
+  block: "Blocks",
+  damage: "Damage",
+  life: "Life changes",
+  counter: "Counters",
+  destroy: "Destroyed",
+  zone_transfer: "Zone changes",
+  game_result: "Game results"
+};
+
+function actionLogEventsFile(matchId) {
+  return path.join(actionLogDir, matchId + ".json");
+}
+
+function hasActionLogEvents(matchId) {
+  return fs.existsSync(actionLogEventsFile(matchId));
+}
+
+function drawActionLogEvents(listDiv, events, match, filter) {
+  const getName = seat => {
+    if (seat == match.player.seat) return match.player.name.slice(0, -6);
+    if (seat == match.opponent.seat) return match.opponent.name.slice(0, -6);
+    return "???";
+  };
+
+  listDiv.html("");
+  events
+    .filter(event => filter == "all" || event.type == filter)
+    .forEach(event => {
+      let time = new Date(event.time);
+      let hh = ("0" + time.getHours()).slice(-2);
+      let mm = ("0" + time.getMinutes()).slice(-2);
+      let ss = ("0" + time.getSeconds()).slice(-2);
+      $(
+        `<div class="replay_log_line">${hh}:${mm}:${ss} ${actionLogEventToHtml(
+          event,
+          getName
+        )}</div>`
+      ).appendTo(listDiv);
+    });
+
+  listDiv.find(".card_link").each(function() {
+    $(this).click(() => false);
+    addCardHover($(this), cardsDb.get($(this).attr("href")));
+  });
+}
+
+// Draws the structured action log of a match, filterable by event type
+function openActionLogEvents(div, matchId, match) {
+  let events;
+  try {
+    events = JSON.parse(fs.readFileSync(actionLogEventsFile(matchId), "utf-8"));
+  } catch (e) {
+    div.html('<div class="replay_title">Could not read the action log.</div>');
+    return;
+  }
+  div.html("");
+
+  let listDiv = $('<div class="replay_log"></div>');
+  let select = $('<select id="action_log_filter"></select>');
+  select.append('<option value="all">All events</option>');
+  Object.keys(EVENT_TYPES)
+    .filter(type => events.some(event => event.type == type))
+    .forEach(type => {
+      select.append(
+        '<option value="' + type + '">' + EVENT_TYPES[type] + "</option>"
+      );
+    });
+  let controls = $('<div class="replay_controls"></div>');
+  select.appendTo(controls);
+  controls.appendTo(div);
+  selectAdd(select, filter =>
+    drawActionLogEvents(listDiv, events, match, filter)
+  );
+
+  listDiv.appendTo(div);
+  drawActionLogEvents(listDiv, events, match, "all");
+}
+
+module.exports = {
+  hasActionLogEvents: hasActionLogEvents,
+  openActionLogEvents: openActionLogEvents
+};
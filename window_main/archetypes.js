@@ -0,0 +1,256 @@
+/*
+global
+  add_checkbox,
+  cardsDb,
+  ipc_send,
+  pop,
+  selectAdd,
+  timeSince
+*/
+
+let localArchetypes = {};
+let archetypesFormat = "Standard";
+let reclassifyPreview = null;
+
+function setLocalArchetypes(arg) {
+  localArchetypes = arg || {};
+}
+
+function setReclassifyPreview(arg) {
+  reclassifyPreview = arg;
+}
+
+// Card names are matched case insensitive, preferring collectible printings
+function getCardIdByName(name) {
+  let list = cardsDb.getAll();
+  let found = null;
+  name = name.toLowerCase();
+  Object.keys(list).forEach(key => {
+    let card = list[key];
+    if (!card || !card.name || card.name.toLowerCase() != name) return;
+    if (found == null || (card.collectible && !list[found].collectible)) {
+      found = key;
+    }
+  });
+  return found;
+}
+
+// Reads "4 Card Name" lines (set and collector number are optional), the
+// number being the weight of the card in the archetype.
+function parseArchetypeCards(text) {
+  let cards = [];
+  let unknown = [];
+  text.split("\n").forEach(line => {
+    let match = line.match(/^\s*(\d+)x?\s+(.+?)(\s+\(\w+\)(\s+\w+)?)?\s*$/);
+    if (!match) return;
+    let id = getCardIdByName(match[2]);
+    if (id == null) {
+      unknown.push(match[2]);
+    } else {
+      cards.push({ id: parseInt(id), quantity: parseInt(match[1]) });
+    }
+  });
+  return { cards, unknown };
+}
+
+function archetypeToText(arch) {
+  return arch.cards
+    .map(card => {
+      let dbCard = cardsDb.get(card.id);
+      return card.quantity + " " + (dbCard ? dbCard.name : card.id);
+    })
+    .join("\n");
+}
+
+function drawArchetypesList(listDiv, nameInput, cardsInput) {
+  listDiv.html("");
+  let list = localArchetypes[archetypesFormat] || [];
+  if (list.length == 0) {
+    listDiv.append(
+      '<div class="settings_note"><i>No archetypes defined for this format.</i></div>'
+    );
+    return;
+  }
+
+  list.forEach(arch => {
+    let line = $('<div class="archetype_line"></div>');
+    $(
+      '<div class="archetype_name">' +
+        arch.tag +
+        " <i>(" +
+        arch.cards.length +
+        " cards)</i></div>"
+    ).appendTo(line);
+    let edit = $('<div class="button_simple button_thin">Edit</div>');
+    let remove = $('<div class="button_simple button_thin">Delete</div>');
+    edit.appendTo(line);
+    remove.appendTo(line);
+    line.appendTo(listDiv);
+
+    edit.click(() => {
+      nameInput.val(arch.tag);
+      cardsInput.val(archetypeToText(arch));
+    });
+    remove.click(() => {
+      ipc_send("delete_local_archetype", {
+        format: archetypesFormat,
+        tag: arch.tag
+      });
+    });
+  });
+}
+
+// Lists what reclassifying the history would change, so only the picked
+// matches get their archetype replaced.
+function drawReclassifyPreview(section) {
+  let previewDiv = $('<div class="archetype_list"></div>');
+  previewDiv.appendTo(section);
+  $('<div class="settings_title">Reclassification preview</div>').appendTo(
+    previewDiv
+  );
+  if (reclassifyPreview.length == 0) {
+    previewDiv.append(
+      '<div class="settings_note"><i>No match would change with the current archetypes.</i></div>'
+    );
+    reclassifyPreview = null;
+    return;
+  }
+
+  reclassifyPreview.forEach((change, index) => {
+    add_checkbox(
+      previewDiv,
+      (change.date ? timeSince(new Date(change.date)) + " ago - " : "") +
+        change.opponent.slice(0, -6) +
+        ": " +
+        change.from +
+        " &#x2192; " +
+        change.to,
+      "reclassify_" + index,
+      true,
+      ""
+    );
+  });
+
+  let label = $('<label class="check_container_but"></label>');
+  label.appendTo(previewDiv);
+  let apply = $('<div class="button_simple">Apply selected</div>');
+  let discard = $('<div class="button_simple">Discard</div>');
+  apply.appendTo(label);
+  discard.appendTo(label);
+
+  apply.click(() => {
+    let changes = reclassifyPreview.filter((change, index) =>
+      $("#reclassify_" + index).prop("checked")
+    );
+    ipc_send("apply_reclassification", changes);
+    reclassifyPreview = null;
+    previewDiv.remove();
+  });
+  discard.click(() => {
+    reclassifyPreview = null;
+    previewDiv.remove();
+  });
+}
+
+// Draws the editor of our own archetype definitions into a settings section
+function openArchetypesSettings(section, serverFormats) {
+  section.append('<div class="settings_title">Archetypes</div>');
+  section.append(`<div class="settings_note">
+      <i>Opponent decks are matched against your own archetypes before the ones from the server. Card counts are weights; a card with a higher count means more for the archetype.</i>
+      </div>`);
+
+  let formats = [archetypesFormat];
+  serverFormats.concat(Object.keys(localArchetypes)).forEach(format => {
+    if (!formats.includes(format)) formats.push(format);
+  });
+
+  let label = $('<label class="but_container_label">Format:</label>');
+  label.appendTo(section);
+  let select = $('<select id="archetypes_format"></select>');
+  formats.forEach(format => {
+    select.append('<option value="' + format + '">' + format + "</option>");
+  });
+  select.appendTo(label);
+
+  let listDiv = $('<div class="archetype_list"></div>');
+  listDiv.appendTo(section);
+
+  label = $('<label class="but_container_label">Name:</label>');
+  label.appendTo(section);
+  let icd = $('<div class="input_container"></div>');
+  let nameInput = $(
+    '<input type="search" id="archetype_name" autocomplete="off" placeholder="Mono Red Aggro" />'
+  );
+  nameInput.appendTo(icd);
+  icd.appendTo(label);
+
+  let cardsInput = $(
+    '<textarea class="archetype_cards" spellcheck="false" placeholder="4 Goblin Chainwhirler"></textarea>'
+  );
+  cardsInput.appendTo(section);
+
+  label = $('<label class="check_container_but"></label>');
+  label.appendTo(section);
+  let save = $('<div class="button_simple">Save</div>');
+  let reclassify = $('<div class="button_simple">Reclassify history</div>');
+  save.appendTo(label);
+  reclassify.appendTo(label);
+
+  label = $('<label class="but_container_label">Import:</label>');
+  label.appendTo(section);
+  icd = $('<div class="input_container"></div>');
+  let importInput = $(
+    '<input type="search" id="archetypes_import" autocomplete="off" placeholder="archetypes.json" />'
+  );
+  importInput.appendTo(icd);
+  icd.appendTo(label);
+  let importButton = $('<div class="button_simple button_thin">Import</div>');
+  importButton.appendTo(label);
+  section.append(`<div class="settings_note">
+      <i>Imports a JSON file shaped like { "Standard": [{ "tag": "Mono Red Aggro", "cards": [{ "id": 68525, "quantity": 4 }] }] }, replacing archetypes with the same name.</i>
+      </div>`);
+
+  if (reclassifyPreview) {
+    drawReclassifyPreview(section);
+  }
+
+  selectAdd(select, format => {
+    archetypesFormat = format;
+    drawArchetypesList(listDiv, nameInput, cardsInput);
+  });
+  drawArchetypesList(listDiv, nameInput, cardsInput);
+
+  save.click(() => {
+    let tag = nameInput.val().trim();
+    let parsed = parseArchetypeCards(cardsInput.val());
+    if (tag == "") {
+      pop("The archetype needs a name", 2000);
+    } else if (parsed.unknown.length > 0) {
+      pop("Unknown cards: " + parsed.unknown.join(", "), 3000);
+    } else if (parsed.cards.length == 0) {
+      pop("The archetype needs at least one card", 2000);
+    } else {
+      ipc_send("save_local_archetype", {
+        format: archetypesFormat,
+        tag: tag,
+        cards: parsed.cards
+      });
+    }
+  });
+
+  reclassify.click(() => {
+    ipc_send("preview_reclassification", true);
+  });
+
+  importButton.click(() => {
+    ipc_send("import_local_archetypes", importInput.val());
+  });
+}
+
+module.exports = {
+  getCardIdByName: getCardIdByName,
+  parseArchetypeCards: parseArchetypeCards,
+  setLocalArchetypes: setLocalArchetypes,
+  setReclassifyPreview: setReclassifyPreview,
+  openArchetypesSettings: openArchetypesSettings
+};
@@ -15,7 +15,13 @@ global
 	addCardHover,
 	shell,
 	get_set_scryfall,
-	selectAdd
+	selectAdd,
+	addCardTile,
+	addCardSeparator,
+	makeId,
+	change_background,
+	economyHistory,
+	FORECAST_MAX_BOOSTERS
 */
 let collectionPage = 0;
 let sortingAlgorithm = "Set";
@@ -23,6 +29,10 @@ let filteredSets = [];
 let filteredMana = [];
 
 let orderedSets;
+let cardsHistory = [];
+let historyGrouping = "Day";
+
+const HISTORY_RARITIES = ["common", "uncommon", "rare", "mythic"];
 
 //
 function openCollectionTab() {
@@ -101,6 +111,11 @@ function openCollectionTab() {
     '<div class="button_simple button_thin stats_button">Collection Stats</div>'
   );
   stats.appendTo(flrb);
+  $(
+    '<div class="button_simple button_thin stats_button">Collection History</div>'
+  )
+    .appendTo(flrb)
+    .click(() => printHistory());
 
   exp.click(() => {
     exportCollection();
@@ -361,7 +376,7 @@ function exportCollection() {
 function printStats() {
   $(".moving_ux").animate({ left: "-100%" }, 250, "easeInOutCubic");
   $("#ux_1").html("");
-  const stats = get_collection_stats();
+  const stats = get_collection_stats(economyHistory);
 
   const top = $(
     '<div class="decklist_top"><div class="button back"></div><div class="deck_name">Collection Statistics</div><div class="deck_top_colors"></div></div>'
@@ -401,6 +416,277 @@ function printStats() {
 }
 /* eslint-enable */
 
+function setCardsHistory(arg) {
+  cardsHistory = arg;
+}
+
+// The collection at the date of a snapshot, adding up the ones before it
+function getCollectionAt(index) {
+  let collection = {};
+  cardsHistory.slice(0, index + 1).forEach(snapshot => {
+    Object.assign(collection, snapshot.cards);
+  });
+  return collection;
+}
+
+// The cards each snapshot added to the one before; the first one holds the
+// whole collection, so it is left out.
+function getCollectionGains() {
+  let collection = {};
+  return cardsHistory.map(snapshot => {
+    let gained = {};
+    Object.keys(snapshot.cards).forEach(id => {
+      let count = snapshot.cards[id] - (collection[id] || 0);
+      if (count > 0) gained[id] = count;
+      collection[id] = snapshot.cards[id];
+    });
+    return { date: new Date(snapshot.date), gained: gained };
+  });
+}
+
+// Cards crafted and wildcards spent after one snapshot and up to another
+function getCraftedBetween(from, to) {
+  let crafted = { cards: {}, wildcards: {} };
+  cardsHistory.slice(from + 1, to + 1).forEach(snapshot => {
+    ["cards", "wildcards"].forEach(key => {
+      let counts = key == "cards" ? snapshot.crafted : snapshot.wildcards;
+      Object.keys(counts || {}).forEach(id => {
+        crafted[key][id] = (crafted[key][id] || 0) + counts[id];
+      });
+    });
+  });
+  return crafted;
+}
+
+function getHistoryPeriod(date) {
+  if (historyGrouping == "Month") {
+    return date.toLocaleString("en-US", { month: "long", year: "numeric" });
+  }
+  return date.toDateString();
+}
+
+// Cards added, in total, by rarity and by set
+function summarizeCards(cardCounts) {
+  let summary = { total: 0, rarities: {}, sets: {} };
+  Object.keys(cardCounts).forEach(id => {
+    let card = cardsDb.get(id);
+    if (!card) return;
+    let count = cardCounts[id];
+    summary.total += count;
+    summary.rarities[card.rarity] =
+      (summary.rarities[card.rarity] || 0) + count;
+    summary.sets[card.set] = (summary.sets[card.set] || 0) + count;
+  });
+  return summary;
+}
+
+function summaryCells(summary) {
+  let cells = `<td>${summary.total}</td>`;
+  HISTORY_RARITIES.forEach(rarity => {
+    cells += `<td>${summary.rarities[rarity] || 0}</td>`;
+  });
+  return cells;
+}
+
+function summaryHeaders(title, extra = "") {
+  return `<tr><th>${title}</th><th>Cards</th><th>Commons</th><th>Uncommons</th><th>Rares</th><th>Mythics</th>${extra}</tr>`;
+}
+
+function setCode(set) {
+  return setsList[set] ? setsList[set].code : set;
+}
+
+// Cards gained in each day or month, with the sets they came from
+function drawHistoryTimeline(div, onSelect) {
+  div.html("");
+  let periods = [];
+  getCollectionGains()
+    .slice(1)
+    .forEach((gains, index) => {
+      let name = getHistoryPeriod(gains.date);
+      let period = periods[periods.length - 1];
+      if (!period || period.name != name) {
+        // the snapshot before this one is where the period starts
+        period = { name: name, from: index, to: index + 1, gained: {} };
+        periods.push(period);
+      }
+      period.to = index + 1;
+      Object.keys(gains.gained).forEach(id => {
+        period.gained[id] = (period.gained[id] || 0) + gains.gained[id];
+      });
+    });
+
+  let table = $('<table class="opening_hands_table"></table>');
+  table.append(summaryHeaders(historyGrouping, "<th>Sets</th>"));
+  periods.reverse().forEach(period => {
+    let summary = summarizeCards(period.gained);
+    let sets = Object.keys(summary.sets)
+      .sort((a, b) => summary.sets[b] - summary.sets[a])
+      .map(set => setCode(set) + " " + summary.sets[set])
+      .join(", ");
+    let row = $(`<tr class="collection_history_row"><td>${period.name}</td>
+      ${summaryCells(summary)}<td>${sets}</td></tr>`);
+    row.click(() => onSelect(period.from, period.to));
+    table.append(row);
+  });
+  div.append(table);
+}
+
+// Everything the collection gained between two snapshots, by set and card
+function drawHistoryDiff(div, from, to) {
+  div.html("");
+  let before = getCollectionAt(from);
+  let after = getCollectionAt(to);
+  let gained = {};
+  Object.keys(after).forEach(id => {
+    let count = after[id] - (before[id] || 0);
+    if (count > 0) gained[id] = count;
+  });
+
+  let summary = summarizeCards(gained);
+  if (summary.total == 0) {
+    div.append('<div class="matchup_empty">No cards were added.</div>');
+    return;
+  }
+
+  // crafted cards are listed apart from the ones opened or won
+  let crafted = getCraftedBetween(from, to);
+  let craftedGains = {};
+  let otherGains = Object.assign({}, gained);
+  Object.keys(crafted.cards).forEach(id => {
+    let count = Math.min(crafted.cards[id], gained[id] || 0);
+    if (count == 0) return;
+    craftedGains[id] = count;
+    otherGains[id] -= count;
+    if (otherGains[id] == 0) delete otherGains[id];
+  });
+  let craftedSummary = summarizeCards(craftedGains);
+  let otherSummary = summarizeCards(otherGains);
+
+  let table = $('<table class="opening_hands_table"></table>');
+  table.append(summaryHeaders("Set"));
+  Object.keys(summary.sets)
+    .sort((a, b) => summary.sets[b] - summary.sets[a])
+    .forEach(set => {
+      let setGained = {};
+      Object.keys(gained)
+        .filter(id => cardsDb.get(id) && cardsDb.get(id).set == set)
+        .forEach(id => (setGained[id] = gained[id]));
+      table.append(
+        `<tr><td>${set}</td>${summaryCells(summarizeCards(setGained))}</tr>`
+      );
+    });
+  table.append(`<tr><td>All sets</td>${summaryCells(summary)}</tr>`);
+  if (craftedSummary.total > 0) {
+    table.append(`<tr><td>Crafted</td>${summaryCells(craftedSummary)}</tr>`);
+  }
+  div.append(table);
+
+  if (craftedSummary.total > 0) {
+    let spent = $('<div class="opponent_line"></div>');
+    spent.append('<div class="opponent_name">Wildcards spent</div>');
+    spent.append(wildcardCountsDiv(crafted.wildcards));
+    div.append(spent);
+  }
+
+  let unique = makeId(4);
+  let list = $(
+    '<div class="card_lists_list"><div class="cardlist"></div></div>'
+  );
+  let cardlist = list.children().first();
+  HISTORY_RARITIES.slice()
+    .reverse()
+    .forEach(rarity => {
+      let ids = Object.keys(otherGains).filter(
+        id => cardsDb.get(id) && cardsDb.get(id).rarity == rarity
+      );
+      if (ids.length == 0) return;
+      let title = rarity[0].toUpperCase() + rarity.slice(1) + "s";
+      addCardSeparator(title, cardlist, otherSummary.rarities[rarity]);
+      ids.forEach(id => addCardTile(id, unique, otherGains[id], cardlist));
+    });
+  if (craftedSummary.total > 0) {
+    addCardSeparator("Crafted", cardlist, craftedSummary.total);
+    Object.keys(craftedGains).forEach(id =>
+      addCardTile(id, unique, craftedGains[id], cardlist)
+    );
+  }
+  div.append(list);
+}
+
+// The styled selects show their first option, so the selected one goes first
+function historySelect(id, selected) {
+  let select = $(`<select id="${id}"></select>`);
+  let indexes = cardsHistory.map((snapshot, index) => index);
+  indexes.splice(selected, 1);
+  [selected].concat(indexes).forEach(index => {
+    let date = new Date(cardsHistory[index].date).toDateString();
+    select.append(`<option value="${index}">${date}</option>`);
+  });
+  return select;
+}
+
+// Draws what the collection gained over time, from the daily snapshots the
+// background keeps, and the changes between any two of them.
+function printHistory(from = 0, to = cardsHistory.length - 1) {
+  $(".moving_ux").animate({ left: "-100%" }, 250, "easeInOutCubic");
+  $("#ux_1").html("");
+  change_background("", 67574);
+
+  const top = $(
+    '<div class="decklist_top"><div class="button back"></div><div class="deck_name">Collection History</div><div class="deck_top_colors"></div></div>'
+  );
+  $("#ux_1").append(top);
+  $(".back").click(function() {
+    change_background("default");
+    $(".moving_ux").animate({ left: "0px" }, 250, "easeInOutCubic");
+  });
+
+  const wrapper = $('<div class="matchup_wrapper"></div>');
+  $("#ux_1").append(wrapper);
+  if (cardsHistory.length < 2) {
+    wrapper.append(
+      '<div class="matchup_empty">A snapshot of the collection is kept every day it changes. Come back after another day of play.</div>'
+    );
+    return;
+  }
+
+  addCardSeparator("Changes between dates", wrapper);
+  let fromSelect = historySelect("collection_history_from", from);
+  let toSelect = historySelect("collection_history_to", to);
+  wrapper.append("From ", fromSelect, " to ", toSelect);
+  let diffDiv = $("<div></div>");
+  wrapper.append(diffDiv);
+  drawHistoryDiff(diffDiv, from, to);
+
+  addCardSeparator("Timeline", wrapper);
+  let grouping = $('<select id="collection_history_grouping"></select>');
+  [historyGrouping]
+    .concat(["Day", "Month"].filter(option => option != historyGrouping))
+    .forEach(option => {
+      grouping.append(
+        `<option value="${option}">By ${option.toLowerCase()}</option>`
+      );
+    });
+  let timelineDiv = $("<div></div>");
+  wrapper.append(grouping, timelineDiv);
+
+  drawHistoryTimeline(timelineDiv, printHistory);
+
+  selectAdd(fromSelect, value => {
+    from = parseInt(value);
+    drawHistoryDiff(diffDiv, from, to);
+  });
+  selectAdd(toSelect, value => {
+    to = parseInt(value);
+    drawHistoryDiff(diffDiv, from, to);
+  });
+  selectAdd(grouping, value => {
+    historyGrouping = value;
+    drawHistoryTimeline(timelineDiv, printHistory);
+  });
+}
+
 //
 function renderSetStats(setStats, setIconCode, setName) {
   const setDiv = renderCompletionDiv(
@@ -425,11 +711,49 @@ function renderSetStats(setStats, setIconCode, setName) {
         ).appendTo(substats);
       }
     });
+    if (setStats.forecast) {
+      renderForecastDiv(setStats.forecast).appendTo(substats);
+    }
   });
 
   return setDiv;
 }
 
+// A wildcard icon with its count for each rarity
+function wildcardCountsDiv(counts) {
+  const wildcards = $('<div class="wildcard_plan_cost"></div>');
+  HISTORY_RARITIES.forEach(rarity => {
+    const count = counts[rarity] || 0;
+    $(
+      `<div title="${rarity}" class="wc_explore_cost wc_${rarity}">${count}</div>`
+    ).appendTo(wildcards);
+  });
+  return wildcards;
+}
+
+// Boosters, gold and wildcards that should complete the set to playsets
+function renderForecastDiv(forecast) {
+  const forecastDiv = $('<div class="stats_forecast"></div>');
+  $("<label>Completion forecast</label>").appendTo(forecastDiv);
+  if (forecast.capped) {
+    $(
+      `<div>Takes more than ${FORECAST_MAX_BOOSTERS} boosters, too many to forecast.</div>`
+    ).appendTo(forecastDiv);
+    return forecastDiv;
+  }
+  const boosters = forecast.boosters;
+  const gold = forecast.gold.toLocaleString();
+  const vaults = forecast.vaults;
+  $(
+    `<div>About ${boosters} boosters (${gold} gold) and ${vaults} vault openings, then crafting:</div>`
+  ).appendTo(forecastDiv);
+  wildcardCountsDiv(forecast.wildcards).appendTo(forecastDiv);
+  $(
+    '<div class="matchup_empty">Counts the wildcards you have now, the wildcard track and the vault, for this set alone.</div>'
+  ).appendTo(forecastDiv);
+  return forecastDiv;
+}
+
 //
 function renderCompletionDiv(countStats, image, title) {
   const completionDiv = $('<div class="stats_set_completion"></div>');
@@ -811,5 +1135,6 @@ function setCollectionPage(page) {
 /* eslint-enable */
 
 module.exports = {
-  openCollectionTab: openCollectionTab
+  openCollectionTab: openCollectionTab,
+  setCardsHistory: setCardsHistory
 };
@@ -17,11 +17,16 @@ global
     getDeckWinrate,
     economyHistory,
     cardsDb,
+    matchesHistory,
+    getWinrateClass,
+    addCardHover,
     add
 */
+const { addPlanDeck } = require("./wildcard_planner");
 
 // We need to store a sorted list of card types so we create the card counts in the same order.
 var currentOpenDeck = null;
+var cardPerformanceSort = { key: "games", descending: true };
 
 function deckColorBar(deck) {
   let deckColors = $(
@@ -235,13 +240,277 @@ function deckWinrateCurves(deck) {
   return container;
 }
 
+// Who won a game. Games saved before results were recorded per game can
+// only be told apart in single game matches.
+function getGameWin(match, game) {
+  if (game.win !== undefined) return game.win;
+  if (match.gameStats.length == 1) {
+    return match.player.win > match.opponent.win;
+  }
+  return undefined;
+}
+
+// Aggregates the opening hands of every game played with the deck
+function getOpeningHandStats(deckId) {
+  let stats = {
+    games: 0,
+    keeps: 0,
+    handLands: 0,
+    libraryLands: 0,
+    byLands: {},
+    byMulligans: {},
+    cards: {}
+  };
+  if (!matchesHistory || !matchesHistory.matches) return stats;
+
+  const addResult = (table, key, win) => {
+    if (!table[key]) table[key] = { wins: 0, losses: 0 };
+    if (win) {
+      table[key].wins++;
+    } else {
+      table[key].losses++;
+    }
+  };
+
+  matchesHistory.matches.forEach(matchId => {
+    let match = matchesHistory[matchId];
+    if (!match || match.type != "match" || !match.gameStats) return;
+    if (!match.playerDeck || match.playerDeck.id != deckId) return;
+
+    match.gameStats.forEach(game => {
+      if (!game || !game.handsDrawn || game.handsDrawn.length == 0) return;
+      let win = getGameWin(match, game);
+      if (win === undefined) return;
+
+      let mulligans = game.handsDrawn.length - 1;
+      let keptHand = game.handsDrawn[mulligans];
+      let lands = game.handLands[mulligans];
+      stats.games++;
+      if (mulligans == 0) stats.keeps++;
+      stats.handLands += lands;
+      stats.libraryLands += game.landsInLibrary;
+      addResult(stats.byLands, lands, win);
+      addResult(stats.byMulligans, mulligans, win);
+
+      let seen = [];
+      keptHand.forEach(grpId => {
+        if (seen.includes(grpId)) return;
+        seen.push(grpId);
+        addResult(stats.cards, grpId, win);
+      });
+    });
+  });
+  return stats;
+}
+
+function openingHandRow(label, result) {
+  let total = result.wins + result.losses;
+  let winrate = result.wins / total;
+  return `<tr><td>${label}</td><td>${result.wins}:${
+    result.losses
+  }</td><td class="${getWinrateClass(winrate)}_bright">${Math.round(
+    winrate * 100
+  )}%</td></tr>`;
+}
+
+// Keep rate, and winrates by lands in the kept hand, by mulligans taken and
+// by the cards that were in it.
+function deckOpeningHandsSection(deck) {
+  let stats = getOpeningHandStats(deck.id);
+  if (stats.games == 0) return;
+
+  let container = $('<div class="opening_hands"></div>');
+  $("<span>Opening hands</span>").appendTo(container);
+  $(
+    `<div class="opening_hands_summary">Kept ${Math.round(
+      (stats.keeps / stats.games) * 100
+    )}% of ${stats.games} opening hands, with ${(
+      stats.handLands / stats.games
+    ).toFixed(1)} lands on average and ${(
+      stats.libraryLands / stats.games
+    ).toFixed(1)} left in the library.</div>`
+  ).appendTo(container);
+
+  let table = $('<table class="opening_hands_table"></table>');
+  table.append("<tr><th>Lands in hand</th><th>W:L</th><th>Winrate</th></tr>");
+  Object.keys(stats.byLands)
+    .sort((a, b) => a - b)
+    .forEach(lands =>
+      table.append(openingHandRow(lands, stats.byLands[lands]))
+    );
+  table.appendTo(container);
+
+  table = $('<table class="opening_hands_table"></table>');
+  table.append("<tr><th>Mulligans</th><th>W:L</th><th>Winrate</th></tr>");
+  Object.keys(stats.byMulligans)
+    .sort((a, b) => a - b)
+    .forEach(mulligans =>
+      table.append(openingHandRow(mulligans, stats.byMulligans[mulligans]))
+    );
+  table.appendTo(container);
+
+  table = $('<table class="opening_hands_table"></table>');
+  table.append("<tr><th>Card in hand</th><th>W:L</th><th>Winrate</th></tr>");
+  Object.keys(stats.cards)
+    .filter(grpId => cardsDb.get(grpId))
+    .sort((a, b) => {
+      let totalA = stats.cards[a].wins + stats.cards[a].losses;
+      let totalB = stats.cards[b].wins + stats.cards[b].losses;
+      return totalB - totalA;
+    })
+    .forEach(grpId =>
+      table.append(openingHandRow(cardsDb.get(grpId).name, stats.cards[grpId]))
+    );
+  table.appendTo(container);
+
+  return container;
+}
+
+// For every card of the deck (by name, so reprints count together), the
+// games it was seen in, how often it was played, and the game winrate when
+// it was seen and when it was not.
+function getCardPerformance(deck) {
+  let cards = {};
+  deck.mainDeck.forEach(card => {
+    let dbCard = cardsDb.get(card.id);
+    if (!dbCard || cards[dbCard.name]) return;
+    cards[dbCard.name] = {
+      id: card.id,
+      name: dbCard.name,
+      games: 0,
+      seen: { wins: 0, losses: 0 },
+      unseen: { wins: 0, losses: 0 },
+      played: 0
+    };
+  });
+  if (!matchesHistory || !matchesHistory.matches) return [];
+
+  matchesHistory.matches.forEach(matchId => {
+    let match = matchesHistory[matchId];
+    if (!match || match.type != "match" || !match.gameStats) return;
+    if (!match.playerDeck || match.playerDeck.id != deck.id) return;
+
+    match.gameStats.forEach(game => {
+      if (!game || !game.cardsSeen) return;
+      let win = getGameWin(match, game);
+      if (win === undefined) return;
+
+      let seenNames = game.cardsSeen.map(id => cardsDb.get(id).name);
+      let playedNames = {};
+      Object.keys(game.cardsPlayed).forEach(id => {
+        let name = cardsDb.get(id).name;
+        playedNames[name] = (playedNames[name] || 0) + game.cardsPlayed[id];
+      });
+
+      Object.keys(cards).forEach(name => {
+        let card = cards[name];
+        let result = seenNames.includes(name) ? card.seen : card.unseen;
+        card.games++;
+        card.played += playedNames[name] || 0;
+        if (win) {
+          result.wins++;
+        } else {
+          result.losses++;
+        }
+      });
+    });
+  });
+
+  return Object.keys(cards).map(name => cards[name]);
+}
+
+function cardPerformanceValue(card, key) {
+  const winrate = result =>
+    result.wins + result.losses == 0
+      ? -1
+      : result.wins / (result.wins + result.losses);
+  if (key == "name") return card.name;
+  if (key == "seen") return card.seen.wins + card.seen.losses;
+  if (key == "played") return card.played;
+  if (key == "seenWinrate") return winrate(card.seen);
+  if (key == "unseenWinrate") return winrate(card.unseen);
+  return card.games;
+}
+
+function cardPerformanceWinrate(result) {
+  let total = result.wins + result.losses;
+  if (total == 0) return "<td>-</td>";
+  let winrate = result.wins / total;
+  return `<td class="${getWinrateClass(winrate)}_bright">${Math.round(
+    winrate * 100
+  )}%</td>`;
+}
+
+function drawCardPerformanceRows(table, cards) {
+  table.find(".card_performance_row").remove();
+  let { key, descending } = cardPerformanceSort;
+  cards
+    .slice()
+    .sort((a, b) => {
+      let valueA = cardPerformanceValue(a, key);
+      let valueB = cardPerformanceValue(b, key);
+      let order = valueA < valueB ? -1 : valueA > valueB ? 1 : 0;
+      return descending ? -order : order;
+    })
+    .forEach(card => {
+      let seen = card.seen.wins + card.seen.losses;
+      let row = $(`<tr class="card_performance_row">
+        <td>${card.name}</td>
+        <td>${Math.round((seen / card.games) * 100)}%</td>
+        <td>${(card.played / card.games).toFixed(2)}</td>
+        ${cardPerformanceWinrate(card.seen)}
+        ${cardPerformanceWinrate(card.unseen)}
+      </tr>`);
+      addCardHover(row.children().first(), cardsDb.get(card.id));
+      table.append(row);
+    });
+}
+
+// Sortable table of the per card stats, to spot the cards that do nothing
+function deckCardPerformanceSection(deck) {
+  let cards = getCardPerformance(deck).filter(card => card.games > 0);
+  if (cards.length == 0) return;
+
+  let container = $('<div class="opening_hands"></div>');
+  $("<span>Card performance</span>").appendTo(container);
+  let table = $('<table class="opening_hands_table card_performance"></table>');
+  let header = $("<tr></tr>");
+  [
+    ["name", "Card"],
+    ["seen", "Drawn"],
+    ["played", "Played"],
+    ["seenWinrate", "Drawn WR"],
+    ["unseenWinrate", "Not drawn WR"]
+  ].forEach(([key, label]) => {
+    let th = $("<th>" + label + "</th>");
+    th.click(() => {
+      if (cardPerformanceSort.key == key) {
+        cardPerformanceSort.descending = !cardPerformanceSort.descending;
+      } else {
+        cardPerformanceSort = { key: key, descending: key != "name" };
+      }
+      drawCardPerformanceRows(table, cards);
+    });
+    header.append(th);
+  });
+  table.append(header);
+  drawCardPerformanceRows(table, cards);
+  table.appendTo(container);
+  $(
+    '<div class="opening_hands_summary">Drawn is the share of games where the card left the library, Played the spells cast or lands played per game.</div>'
+  ).appendTo(container);
+
+  return container;
+}
+
 function deckStatsSection(deck, deck_type) {
   let stats = $('<div class="stats"></div>');
 
   $(`<div class="button_simple visualView">Visual View</div>
     <div class="button_simple openHistory">History of changes</div>
     <div class="button_simple exportDeck">Export to Arena</div>
-    <div class="button_simple exportDeckStandard">Export to .txt</div>`).appendTo(
+    <div class="button_simple exportDeckStandard">Export to .txt</div>
+    <div class="button_simple addToPlanner">Add to wildcard planner</div>`).appendTo(
     stats
   );
 
@@ -280,6 +549,14 @@ function deckStatsSection(deck, deck_type) {
     if (winrateCurveSection) {
       winrateCurveSection.appendTo(stats);
     }
+    let openingHandsSection = deckOpeningHandsSection(deck);
+    if (openingHandsSection) {
+      openingHandsSection.appendTo(stats);
+    }
+    let cardPerformanceSection = deckCardPerformanceSection(deck);
+    if (cardPerformanceSection) {
+      cardPerformanceSection.appendTo(stats);
+    }
   } else {
     console.log("skipping winrate curve. deck_type is", deck_type);
   }
@@ -375,6 +652,8 @@ function openDeck(deck, deck_type) {
     ipc_send("export_txt", { str: list, name: deck.name });
   });
 
+  $(".addToPlanner").click(() => addPlanDeck(deck));
+
   $(".back").click(() => {
     change_background("default");
     $(".moving_ux").animate({ left: "0px" }, 250, "easeInOutCubic");
@@ -382,5 +661,6 @@ function openDeck(deck, deck_type) {
 }
 
 module.exports = {
-  open_deck: openDeck
+  open_deck: openDeck,
+  deckManaCurve: deckManaCurve
 };
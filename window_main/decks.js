@@ -11,6 +11,7 @@ global
 	ipc_send,
 	selectAdd
 */
+const { openWildcardPlanner } = require("./wildcard_planner");
 
 let filterTag = "All";
 
@@ -60,7 +61,16 @@ function open_decks_tab() {
     let decks_top_winrate = document.createElement("div");
     decks_top_winrate.classList.add("decks_top_winrate");
 
+    let decks_top_planner = document.createElement("div");
+    decks_top_planner.classList.add("button_simple", "button_thin");
+    decks_top_planner.innerHTML = "Wildcard planner";
+    decks_top_planner.addEventListener("click", () => {
+      openWildcardPlanner();
+      $(".moving_ux").animate({ left: "-100%" }, 250, "easeInOutCubic");
+    });
+
     decks_top.appendChild(decks_top_filter);
+    decks_top.appendChild(decks_top_planner);
     decks_top.appendChild(decks_top_winrate);
     mainDiv.appendChild(decks_top);
 
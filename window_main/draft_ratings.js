@@ -0,0 +1,124 @@
+/*
+global
+  cardsDb,
+  draftRanks,
+  getCardDraftRating,
+  ipc_send,
+  pop,
+  selectAdd,
+  setsList
+*/
+const { getCardIdByName } = require("./archetypes");
+
+let draftRatings = {};
+let ratingsSet = null;
+
+function setDraftRatings(arg) {
+  draftRatings = arg || {};
+}
+
+// Our own rating of a card when we gave it one, the built in rank otherwise
+function getDraftRating(grpId) {
+  return getCardDraftRating(grpId, draftRatings);
+}
+
+// Reads "Card Name: B+" lines; the grade can also be a number from 0 (F)
+// to 12 (A+), like the built in ranks.
+function parseDraftRatings(text) {
+  let ratings = {};
+  let unknown = [];
+  text.split("\n").forEach(line => {
+    let match = line.match(/^\s*(.+?)\s*:\s*([A-DF][+-]?|\d+)\s*$/);
+    if (!match) return;
+    let id = getCardIdByName(match[1]);
+    if (id == null) {
+      unknown.push(match[1]);
+    } else {
+      ratings[cardsDb.get(id).name] = match[2];
+    }
+  });
+  return { ratings, unknown };
+}
+
+function draftRatingsToText(set) {
+  let ratings = draftRatings[set] || {};
+  return Object.keys(ratings)
+    .sort((a, b) => ratings[b] - ratings[a])
+    .map(name => name + ": " + draftRanks[ratings[name]])
+    .join("\n");
+}
+
+// Draws the editor of our own pick ratings into a settings section
+function openDraftRatingsSettings(section) {
+  section.append('<div class="settings_title">Draft ratings</div>');
+  section.append(`<div class="settings_note">
+      <i>The overlay suggests picks with these ratings, and the built in ones for cards not listed, plus a bonus for the colours already picked.</i>
+      </div>`);
+
+  let sets = Object.keys(setsList).filter(set => setsList[set].code);
+  if (ratingsSet == null) ratingsSet = sets[sets.length - 1];
+
+  let label = $('<label class="but_container_label">Set:</label>');
+  label.appendTo(section);
+  let select = $('<select id="draft_ratings_set"></select>');
+  select.append(
+    '<option value="' + ratingsSet + '">' + ratingsSet + "</option>"
+  );
+  sets.forEach(set => {
+    if (set == ratingsSet) return;
+    select.append('<option value="' + set + '">' + set + "</option>");
+  });
+  select.appendTo(label);
+
+  let ratingsInput = $(
+    '<textarea class="archetype_cards" spellcheck="false" placeholder="Goblin Chainwhirler: A-"></textarea>'
+  );
+  ratingsInput.val(draftRatingsToText(ratingsSet));
+  ratingsInput.appendTo(section);
+
+  label = $('<label class="check_container_but"></label>');
+  label.appendTo(section);
+  let save = $('<div class="button_simple">Save</div>');
+  save.appendTo(label);
+
+  label = $('<label class="but_container_label">Import:</label>');
+  label.appendTo(section);
+  let icd = $('<div class="input_container"></div>');
+  let importInput = $(
+    '<input type="search" id="draft_ratings_import" autocomplete="off" placeholder="ratings.json" />'
+  );
+  importInput.appendTo(icd);
+  icd.appendTo(label);
+  let importButton = $('<div class="button_simple button_thin">Import</div>');
+  importButton.appendTo(label);
+  section.append(`<div class="settings_note">
+      <i>Imports a JSON file shaped like { "Guilds of Ravnica": { "Goblin Banneret": "B-" } }, adding to the ratings already saved.</i>
+      </div>`);
+
+  selectAdd(select, set => {
+    ratingsSet = set;
+    ratingsInput.val(draftRatingsToText(ratingsSet));
+  });
+
+  save.click(() => {
+    let parsed = parseDraftRatings(ratingsInput.val());
+    if (parsed.unknown.length > 0) {
+      pop("Unknown cards: " + parsed.unknown.join(", "), 3000);
+    } else {
+      ipc_send("save_draft_ratings", {
+        set: ratingsSet,
+        ratings: parsed.ratings
+      });
+    }
+  });
+
+  importButton.click(() => {
+    ipc_send("import_draft_ratings", importInput.val());
+  });
+}
+
+module.exports = {
+  setDraftRatings: setDraftRatings,
+  getDraftRating: getDraftRating,
+  openDraftRatingsSettings: openDraftRatingsSettings
+};
@@ -0,0 +1,254 @@
+/*
+global
+  addCardHover,
+  cardsDb,
+  eventsHistory,
+  get_deck_colors,
+  get_ids_colors,
+  getWinrateClass,
+  ipc_send,
+  mana,
+  matchesHistory,
+  selectAdd
+*/
+
+// Picks of the first pack up to this one count as early picks
+const EARLY_PICKS = 3;
+// Cards need this many drafts to be listed with a record
+const MIN_CARD_DRAFTS = 2;
+
+let draftsSet = null;
+
+// Every stored draft with its picks, the colours we ended up in and the
+// record of the event it was for, when the event is stored too.
+function getDraftRecords() {
+  return matchesHistory.matches
+    .map(id => matchesHistory[id])
+    .filter(draft => draft && draft.type == "draft" && draft.set)
+    .map(draft => {
+      let picks = [];
+      Object.keys(draft).forEach(key => {
+        let match = key.match(/^pack_(\d+)pick_(\d+)$/);
+        if (!match || !draft[key].pick) return;
+        picks.push({
+          pack: parseInt(match[1]),
+          pick: parseInt(match[2]),
+          grpId: draft[key].pick
+        });
+      });
+
+      // the event of a draft has the same id, without the suffix
+      let course = eventsHistory[draft.id.replace(/-draft$/, "")];
+      let deck = course && course.CourseDeck;
+      let wlGate =
+        course &&
+        course.ModuleInstanceData &&
+        course.ModuleInstanceData.WinLossGate;
+      let colors = deck
+        ? get_deck_colors(deck)
+        : get_ids_colors(picks.map(pick => pick.grpId));
+
+      return {
+        set: draft.set,
+        picks: picks,
+        colors: colors.sort(),
+        wins: wlGate ? wlGate.CurrentWins : undefined,
+        losses: wlGate ? wlGate.CurrentLosses : undefined
+      };
+    });
+}
+
+function newDraftStats() {
+  return { drafts: 0, recorded: 0, wins: 0, losses: 0 };
+}
+
+function addDraftRecord(stats, draft) {
+  stats.drafts++;
+  if (draft.wins === undefined) return;
+  stats.recorded++;
+  stats.wins += draft.wins;
+  stats.losses += draft.losses;
+}
+
+function draftStatsCells(stats) {
+  if (stats.recorded == 0) {
+    return '<td>-</td><td>-</td><td class="matchup_empty">-</td>';
+  }
+  let total = stats.wins + stats.losses;
+  let winrate = total == 0 ? 0.5 : stats.wins / total;
+  let average = (stats.wins / stats.recorded).toFixed(2);
+  let colClass = getWinrateClass(winrate);
+  let percent = Math.round(winrate * 100) + "%";
+  return `<td>${stats.wins}:${stats.losses}</td><td>${average}</td>
+    <td class="${colClass}_bright">${percent}</td>`;
+}
+
+function colorsHtml(colors) {
+  if (colors.length == 0) return "-";
+  return colors
+    .map(color => mana[color])
+    .map(name => `<div class="mana_s16 mana_${name} drafts_mana"></div>`)
+    .join("");
+}
+
+// Drafts, record and average wins of each colour combination we ended in
+function drawColorsTable(div, drafts) {
+  let combinations = {};
+  drafts.forEach(draft => {
+    let key = draft.colors.join(",");
+    if (!combinations[key]) {
+      combinations[key] = newDraftStats();
+      combinations[key].colors = draft.colors;
+    }
+    addDraftRecord(combinations[key], draft);
+  });
+
+  let table = $('<table class="opening_hands_table"></table>');
+  table.append(
+    "<tr><th>Colours</th><th>Drafts</th><th>Record</th><th>Avg wins</th><th>Winrate</th></tr>"
+  );
+  Object.keys(combinations)
+    .sort((a, b) => combinations[b].drafts - combinations[a].drafts)
+    .forEach(key => {
+      let stats = combinations[key];
+      table.append(`<tr><td>${colorsHtml(stats.colors)}</td>
+        <td>${stats.drafts}</td>${draftStatsCells(stats)}</tr>`);
+    });
+  div.append('<div class="shuffle_title">Colours</div>', table);
+}
+
+// How early we take each card on average, and how often
+function drawPickPositionsTable(div, drafts) {
+  let cards = {};
+  drafts.forEach(draft => {
+    draft.picks.forEach(pick => {
+      let card = cardsDb.get(pick.grpId);
+      if (!card) return;
+      if (!cards[card.name]) {
+        cards[card.name] = { grpId: pick.grpId, picks: 0, positions: 0 };
+      }
+      cards[card.name].picks++;
+      cards[card.name].positions += pick.pick + 1;
+    });
+  });
+
+  let table = $('<table class="opening_hands_table"></table>');
+  table.append("<tr><th>Card</th><th>Picked</th><th>Avg pick</th></tr>");
+  Object.keys(cards)
+    .sort(
+      (a, b) =>
+        cards[a].positions / cards[a].picks -
+        cards[b].positions / cards[b].picks
+    )
+    .forEach(name => {
+      let card = cards[name];
+      let average = (card.positions / card.picks).toFixed(1);
+      let row = $(`<tr><td>${name}</td><td>${card.picks}</td>
+        <td>${average}</td></tr>`);
+      addCardHover(row.children().first(), cardsDb.get(card.grpId));
+      table.append(row);
+    });
+  div.append('<div class="shuffle_title">Average pick position</div>', table);
+}
+
+// Record of the drafts where each card was one of our first picks, to
+// compare with the record of all the drafts of the set
+function drawEarlyPicksTable(div, drafts) {
+  let total = newDraftStats();
+  let cards = {};
+  drafts.forEach(draft => {
+    addDraftRecord(total, draft);
+    let names = [];
+    draft.picks
+      .filter(pick => pick.pack == 0 && pick.pick < EARLY_PICKS)
+      .forEach(pick => {
+        let card = cardsDb.get(pick.grpId);
+        if (card && !names.includes(card.name)) names.push(card.name);
+      });
+    names.forEach(name => {
+      if (!cards[name]) cards[name] = newDraftStats();
+      addDraftRecord(cards[name], draft);
+    });
+  });
+
+  let averageWins = stats =>
+    stats.recorded == 0 ? 0 : stats.wins / stats.recorded;
+  let table = $('<table class="opening_hands_table"></table>');
+  table.append(
+    "<tr><th>Card</th><th>Drafts</th><th>Record</th><th>Avg wins</th><th>Winrate</th></tr>"
+  );
+  let totalCells = draftStatsCells(total);
+  table.append(
+    `<tr><td>All drafts</td><td>${total.drafts}</td>${totalCells}</tr>`
+  );
+  Object.keys(cards)
+    .filter(name => cards[name].recorded >= MIN_CARD_DRAFTS)
+    .sort((a, b) => averageWins(cards[b]) - averageWins(cards[a]))
+    .forEach(name => {
+      let stats = cards[name];
+      let row = $(`<tr><td>${name}</td><td>${stats.drafts}</td>
+        ${draftStatsCells(stats)}</tr>`);
+      table.append(row);
+    });
+  div.append(
+    `<div class="shuffle_title">Early picks (first ${EARLY_PICKS} picks of the first pack)</div>`,
+    table
+  );
+  div.append(
+    `<div class="matchup_empty">Only cards picked early in at least ${MIN_CARD_DRAFTS} drafts with a stored event are listed.</div>`
+  );
+}
+
+function drawDraftsReport(div, drafts) {
+  div.html("");
+  drafts = drafts.filter(draft => draft.set == draftsSet);
+  if (drafts.length == 0) {
+    div.append('<div class="matchup_empty">No drafts of this set.</div>');
+    return;
+  }
+  drawColorsTable(div, drafts);
+  drawEarlyPicksTable(div, drafts);
+  drawPickPositionsTable(div, drafts);
+}
+
+// Draws the analytics of every stored draft of a set into the container
+function renderDraftsReport(container) {
+  // the records come from the events, which are only loaded on request
+  if (!eventsHistory.courses) {
+    ipc_send("request_events", 1);
+  }
+  let drafts = getDraftRecords();
+  let wrapper = $('<div class="matchup_wrapper"></div>');
+  if (drafts.length == 0) {
+    wrapper.append('<div class="matchup_empty">No drafts to show.</div>');
+    $(container).append(wrapper);
+    return;
+  }
+
+  let setCounts = {};
+  drafts.forEach(draft => {
+    setCounts[draft.set] = (setCounts[draft.set] || 0) + 1;
+  });
+  let sets = Object.keys(setCounts).sort((a, b) => setCounts[b] - setCounts[a]);
+  if (!sets.includes(draftsSet)) draftsSet = sets[0];
+
+  let select = $('<select id="drafts_set"></select>');
+  select.append(`<option value="${draftsSet}">${draftsSet}</option>`);
+  sets.forEach(set => {
+    if (set != draftsSet)
+      select.append(`<option value="${set}">${set}</option>`);
+  });
+  let reportDiv = $("<div></div>");
+  wrapper.append(select, reportDiv);
+  $(container).append(wrapper);
+
+  selectAdd(select, set => {
+    draftsSet = set;
+    drawDraftsReport(reportDiv, drafts);
+  });
+  drawDraftsReport(reportDiv, drafts);
+}
+
+module.exports = {
+  renderDraftsReport: renderDraftsReport
+};
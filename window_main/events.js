@@ -17,6 +17,7 @@ globals
   loadEvents,
   currentId
 */
+const { getCardPool, openPoolBuilder } = require("./pool_builder");
 
 function openEventsTab(loadMore) {
   var mainDiv = document.getElementById("ux_0");
@@ -30,6 +31,18 @@ function openEventsTab(loadMore) {
     var d = createDivision(["list_fill"]);
     mainDiv.appendChild(d);
 
+    if (getCardPool()) {
+      var poolButton = createDivision(
+        ["button_simple", "centered"],
+        "Build a deck from the last card pool"
+      );
+      poolButton.addEventListener("click", () => {
+        openPoolBuilder();
+        $(".moving_ux").animate({ left: "-100%" }, 250, "easeInOutCubic");
+      });
+      mainDiv.appendChild(poolButton);
+    }
+
     loadEvents = 0;
   }
 
@@ -28,8 +28,13 @@ let loadHistory = 0;
 let filterEvent = "All";
 let filteredSampleSize = 0;
 let viewingLimitSeason = false;
+let historyView = "matches";
 
 const autocomplete = require("../shared/autocomplete.js");
+const { renderMatchupMatrix } = require("./matchups");
+const { renderShuffleReport } = require("./shuffle_report");
+const { renderOpponentsList } = require("./opponents");
+const { renderDraftsReport } = require("./drafts_report");
 
 function isDraftMatch(match) {
   return match.eventId && match.eventId.includes("Draft");
@@ -157,9 +162,21 @@ function open_history_tab(loadMore) {
       );
     });
     historyTopFilter.appendChild(select[0]);
+
+    historyTopFilter.appendChild(createViewButton("matches", "Matches"));
+    historyTopFilter.appendChild(createViewButton("matchups", "Matchups"));
+    historyTopFilter.appendChild(createViewButton("shuffle", "Shuffler"));
+    historyTopFilter.appendChild(createViewButton("opponents", "Opponents"));
+    historyTopFilter.appendChild(createViewButton("drafts", "Drafts"));
+
     historyColumn.appendChild(historyTop);
     selectAdd(select, filterHistory);
     select.next("div.select-styled").text(getReadableEvent(filterEvent));
+
+    if (historyView != "matches") {
+      renderHistoryReport(historyColumn, validMatches.filter(filterMatch));
+      return;
+    }
   }
 
   //console.log("loadHistory: ", loadHistory, "loadMore: ", loadMore, "matches.length: ", matchesHistory.matches.length, "filteredSampleSize: ", filteredSampleSize);
@@ -408,6 +425,39 @@ function open_history_tab(loadMore) {
   //loadHistory = actuallyLoaded;
 }
 
+// Switches between the list of matches, the matchup matrix, the
+// shuffler report, the opponents met more than once and the drafts report
+function createViewButton(view, label) {
+  let button = createDivision(["button_simple", "button_thin"], label);
+  if (view == historyView) {
+    button.classList.add("button_selected");
+  }
+  button.addEventListener("click", () => {
+    historyView = view;
+    open_history_tab(0);
+  });
+  return button;
+}
+
+function getHistoryView() {
+  return historyView;
+}
+
+function renderHistoryReport(historyColumn, matches) {
+  if (historyView == "matchups") {
+    renderMatchupMatrix(historyColumn, matches);
+  }
+  if (historyView == "shuffle") {
+    renderShuffleReport(historyColumn, matches);
+  }
+  if (historyView == "opponents") {
+    renderOpponentsList(historyColumn, matches);
+  }
+  if (historyView == "drafts") {
+    renderDraftsReport(historyColumn);
+  }
+}
+
 function formatPercent(percent, precision) {
   // Utility function: converts a number to rounded percent
   // converts number to percent
@@ -904,4 +954,7 @@ function compare_matches(a, b) {
   return 0;
 }
 
-module.exports = { open_history_tab: open_history_tab };
+module.exports = {
+  open_history_tab: open_history_tab,
+  getHistoryView: getHistoryView
+};
@@ -0,0 +1,169 @@
+/*
+global
+  getWinrateClass
+*/
+
+// Opponent archetypes with fewer matches than the top ones go together
+const MAX_ARCHETYPE_COLUMNS = 8;
+
+function newMatchupStats() {
+  return {
+    wins: 0,
+    losses: 0,
+    gameWins: 0,
+    gameLosses: 0,
+    play: { wins: 0, losses: 0 },
+    draw: { wins: 0, losses: 0 }
+  };
+}
+
+function addMatchupMatch(stats, match) {
+  if (match.player.win > match.opponent.win) stats.wins++;
+  if (match.player.win < match.opponent.win) stats.losses++;
+  stats.gameWins += match.player.win;
+  stats.gameLosses += match.opponent.win;
+
+  // Only games saved with who went first and who won count for the splits
+  (match.gameStats || []).forEach(game => {
+    if (!game || game.onThePlay === undefined || game.win === undefined) {
+      return;
+    }
+    let split = game.onThePlay ? stats.play : stats.draw;
+    if (game.win) {
+      split.wins++;
+    } else {
+      split.losses++;
+    }
+  });
+}
+
+// 95% Wilson score interval of a winrate, as [low, high]
+function winrateInterval(wins, total) {
+  if (total == 0) return [0, 0];
+  const z = 1.96;
+  let p = wins / total;
+  let denominator = 1 + (z * z) / total;
+  let center = p + (z * z) / (2 * total);
+  let margin =
+    z * Math.sqrt((p * (1 - p)) / total + (z * z) / (4 * total * total));
+  return [(center - margin) / denominator, (center + margin) / denominator];
+}
+
+function formatWinrate(wins, losses) {
+  if (wins + losses == 0) return "-";
+  return Math.round((wins / (wins + losses)) * 100) + "%";
+}
+
+function getMatchupCell(stats) {
+  let total = stats.wins + stats.losses;
+  if (total == 0 && stats.gameWins + stats.gameLosses == 0) {
+    return '<td class="matchup_cell matchup_empty">-</td>';
+  }
+
+  let interval = winrateInterval(stats.wins, total);
+  let colClass = getWinrateClass(total == 0 ? 0.5 : stats.wins / total);
+  let title =
+    `Matches: ${stats.wins}:${stats.losses}\n` +
+    `Games: ${stats.gameWins}:${stats.gameLosses}\n` +
+    `95% interval: ${Math.round(interval[0] * 100)}% - ` +
+    `${Math.round(interval[1] * 100)}%\n` +
+    `On the play: ${stats.play.wins}:${stats.play.losses}\n` +
+    `On the draw: ${stats.draw.wins}:${stats.draw.losses}`;
+
+  let record = `${stats.wins}:${stats.losses}`;
+  let winrate = formatWinrate(stats.wins, stats.losses);
+  let range =
+    Math.round(interval[0] * 100) + "-" + Math.round(interval[1] * 100) + "%";
+  let games = formatWinrate(stats.gameWins, stats.gameLosses);
+  let play = formatWinrate(stats.play.wins, stats.play.losses);
+  let draw = formatWinrate(stats.draw.wins, stats.draw.losses);
+
+  return `<td class="matchup_cell" title="${title}">
+    <div>${record} <span class="${colClass}_bright">${winrate}</span></div>
+    <div class="matchup_detail">${range} / G ${games}</div>
+    <div class="matchup_detail">P ${play} / D ${draw}</div>
+  </td>`;
+}
+
+// Cross tabulates our decks against the archetypes (first tag) of the
+// opponents, and draws the resulting table into the container.
+function renderMatchupMatrix(container, matches) {
+  let decks = {};
+  let archetypeCounts = {};
+
+  matches = matches.filter(
+    match =>
+      match.type == "match" &&
+      match.playerDeck &&
+      match.opponent &&
+      (match.opponent.userid || "").indexOf("Familiar") == -1
+  );
+  matches.forEach(match => {
+    let tag = match.tags && match.tags.length > 0 ? match.tags[0] : "-";
+    archetypeCounts[tag] = (archetypeCounts[tag] || 0) + 1;
+  });
+
+  let archetypes = Object.keys(archetypeCounts).sort(
+    (a, b) => archetypeCounts[b] - archetypeCounts[a]
+  );
+  let columns = archetypes.slice(0, MAX_ARCHETYPE_COLUMNS);
+  if (archetypes.length > columns.length) columns.push("Other");
+
+  matches.forEach(match => {
+    let deckId = match.playerDeck.id;
+    if (!decks[deckId]) {
+      decks[deckId] = {
+        name: match.playerDeck.name,
+        total: newMatchupStats(),
+        archetypes: {}
+      };
+    }
+    let deck = decks[deckId];
+    let tag = match.tags && match.tags.length > 0 ? match.tags[0] : "-";
+    if (!columns.includes(tag)) tag = "Other";
+    if (!deck.archetypes[tag]) deck.archetypes[tag] = newMatchupStats();
+
+    addMatchupMatch(deck.archetypes[tag], match);
+    addMatchupMatch(deck.total, match);
+  });
+
+  let wrapper = $('<div class="matchup_wrapper"></div>');
+  if (matches.length == 0) {
+    wrapper.append('<div class="matchup_empty">No matches to show.</div>');
+    $(container).append(wrapper);
+    return;
+  }
+
+  let table = $('<table class="matchup_matrix"></table>');
+  let header = $("<tr><th></th></tr>");
+  columns.forEach(tag => header.append("<th>" + tag + "</th>"));
+  header.append("<th>All</th>");
+  table.append(header);
+
+  Object.keys(decks)
+    .sort(
+      (a, b) =>
+        decks[b].total.wins +
+        decks[b].total.losses -
+        (decks[a].total.wins + decks[a].total.losses)
+    )
+    .forEach(deckId => {
+      let deck = decks[deckId];
+      let row = $('<tr><th class="matchup_deck">' + deck.name + "</th></tr>");
+      columns.forEach(tag => {
+        row.append(getMatchupCell(deck.archetypes[tag] || newMatchupStats()));
+      });
+      row.append(getMatchupCell(deck.total));
+      table.append(row);
+    });
+
+  wrapper.append(table);
+  wrapper.append(
+    '<div class="matchup_empty">Match record and winrate, 95% interval of the match winrate, game winrate, and game winrates on the play (P) and on the draw (D).</div>'
+  );
+  $(container).append(wrapper);
+}
+
+module.exports = {
+  renderMatchupMatrix: renderMatchupMatrix
+};
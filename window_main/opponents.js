@@ -0,0 +1,177 @@
+/*
+global
+  addCardSeparator,
+  change_background,
+  drawCardList,
+  getReadableEvent,
+  getWinrateClass,
+  get_rank_index,
+  matchesHistory,
+  open_match,
+  timeSince
+*/
+
+// Opponents are told apart by their user id, older matches only have names
+function getOpponentKey(match) {
+  return match.opponent.userid || match.opponent.name;
+}
+
+// Groups the matches by opponent, newest encounters first
+function getOpponentProfiles(matches) {
+  let profiles = {};
+  matches
+    .filter(match => match.type == "match" && match.opponent)
+    .filter(match => (match.opponent.userid || "").indexOf("Familiar") == -1)
+    .sort((a, b) => new Date(b.date) - new Date(a.date))
+    .forEach(match => {
+      let key = getOpponentKey(match);
+      if (!profiles[key]) {
+        profiles[key] = {
+          key: key,
+          name: match.opponent.name,
+          matches: [],
+          wins: 0,
+          losses: 0,
+          archetypes: {},
+          cards: []
+        };
+      }
+      let profile = profiles[key];
+      profile.matches.push(match);
+      if (match.player.win > match.opponent.win) profile.wins++;
+      if (match.player.win < match.opponent.win) profile.losses++;
+
+      let tag = match.tags && match.tags.length > 0 ? match.tags[0] : "-";
+      profile.archetypes[tag] = (profile.archetypes[tag] || 0) + 1;
+      if (match.oppDeck) {
+        match.oppDeck.mainDeck.forEach(card => profile.cards.push(card.id));
+      }
+    });
+  return profiles;
+}
+
+function getStoredMatches() {
+  return matchesHistory.matches
+    .map(id => matchesHistory[id])
+    .filter(match => match !== undefined);
+}
+
+function recordHtml(wins, losses) {
+  let total = wins + losses;
+  let colClass = getWinrateClass(total == 0 ? 0.5 : wins / total);
+  let winrate = total == 0 ? "-" : Math.round((wins / total) * 100) + "%";
+  return `${wins}:${losses} <span class="${colClass}_bright">${winrate}</span>`;
+}
+
+// Draws the list of opponents met more than once into the container
+function renderOpponentsList(container, matches) {
+  let profiles = getOpponentProfiles(matches);
+  let wrapper = $('<div class="matchup_wrapper"></div>');
+  let keys = Object.keys(profiles)
+    .filter(key => profiles[key].matches.length > 1)
+    .sort((a, b) => profiles[b].matches.length - profiles[a].matches.length);
+
+  if (keys.length == 0) {
+    wrapper.append(
+      '<div class="matchup_empty">You have not met any opponent more than once.</div>'
+    );
+  }
+  keys.forEach(key => {
+    let profile = profiles[key];
+    let line = $(`<div class="opponent_line">
+      <div class="opponent_name">${profile.name.slice(0, -6)}</div>
+      <div>${profile.matches.length} matches</div>
+      <div>${recordHtml(profile.wins, profile.losses)}</div>
+      <div>${timeSince(new Date(profile.matches[0].date))} ago</div>
+    </div>`);
+    line.click(() => {
+      openOpponentProfile(key);
+      $(".moving_ux").animate({ left: "-100%" }, 250, "easeInOutCubic");
+    });
+    wrapper.append(line);
+  });
+  $(container).append(wrapper);
+}
+
+// Draws every encounter with an opponent, their ranks over time, the
+// archetypes and cards they showed and our record against them.
+function openOpponentProfile(key) {
+  let profile = getOpponentProfiles(getStoredMatches())[key];
+  let container = $("#ux_1");
+  container.html("");
+  if (!profile) return;
+
+  let top = $(
+    '<div class="decklist_top"><div class="button back"></div><div class="deck_name">' +
+      profile.name.slice(0, -6) +
+      "</div></div>"
+  );
+  container.append(top);
+
+  let names = [];
+  profile.matches.forEach(match => {
+    if (!names.includes(match.opponent.name)) names.push(match.opponent.name);
+  });
+  let record = recordHtml(profile.wins, profile.losses);
+  let aliases =
+    names.length > 1 ? ", also known as " + names.slice(1).join(", ") : "";
+  let count = profile.matches.length;
+  container.append(
+    `<div class="opponent_summary">${record} in ${count} matches${aliases}</div>`
+  );
+
+  addCardSeparator("Encounters", container);
+  let encounters = $('<div class="matchup_wrapper"></div>');
+  profile.matches.forEach(match => {
+    let result = match.player.win > match.opponent.win ? "Won" : "Lost";
+    let tag = match.tags && match.tags.length > 0 ? match.tags[0] : "-";
+    let rank = match.opponent.rank + " " + match.opponent.tier;
+    let line = $(`<div class="opponent_line">
+      <div class="opponent_rank ranks_history_badge" title="${rank}"></div>
+      <div class="opponent_name">${getReadableEvent(match.eventId)}</div>
+      <div>${tag}</div>
+      <div>${result} ${match.player.win}:${match.opponent.win}</div>
+      <div>${timeSince(new Date(match.date))} ago</div>
+    </div>`);
+    line
+      .find(".opponent_rank")
+      .css(
+        "background-position",
+        get_rank_index(match.opponent.rank, match.opponent.tier) * -48 +
+          "px 0px"
+      );
+    line.click(() => open_match(match.id));
+    encounters.append(line);
+  });
+  container.append(encounters);
+
+  addCardSeparator("Archetypes", container);
+  let archetypes = $('<div class="matchup_wrapper"></div>');
+  Object.keys(profile.archetypes)
+    .sort((a, b) => profile.archetypes[b] - profile.archetypes[a])
+    .forEach(tag => {
+      let count = profile.archetypes[tag];
+      archetypes.append(`<div class="opponent_line">
+        <div class="opponent_name">${tag}</div>
+        <div>${count} matches</div>
+      </div>`);
+    });
+  container.append(archetypes);
+
+  addCardSeparator("Cards seen (matches)", container);
+  let cardsDiv = $(
+    '<div class="card_lists_list"><div class="cardlist"></div></div>'
+  );
+  drawCardList(cardsDiv.children().first(), profile.cards);
+  container.append(cardsDiv);
+
+  $(".back").click(() => {
+    change_background("default");
+    $(".moving_ux").animate({ left: "0px" }, 250, "easeInOutCubic");
+  });
+}
+
+module.exports = {
+  renderOpponentsList: renderOpponentsList,
+  openOpponentProfile: openOpponentProfile
+};
@@ -0,0 +1,339 @@
+/*
+global
+  addCardSeparator,
+  addCardTile,
+  cardsDb,
+  cards,
+  change_background,
+  compare_cards,
+  draftRanks,
+  drawDeck,
+  get_deck_colors_ammount,
+  get_deck_curve,
+  get_deck_export,
+  get_deck_export_txt,
+  get_ids_colors,
+  getReadableEvent,
+  ipc_send,
+  makeId,
+  mana,
+  pop
+*/
+const { getCardIdByName } = require("./archetypes");
+const { deckManaCurve } = require("./deck_details");
+const { getDraftRating } = require("./draft_ratings");
+
+// Limited decks are 40 cards, usually 23 spells and 17 lands
+const LIMITED_SPELLS = 23;
+const LIMITED_LANDS = 17;
+// Builds lose half a rank for each play at one or two mana short of this
+const MIN_CHEAP_SPELLS = 5;
+const SUGGESTED_BUILDS = 3;
+// Basic lands by the code of their colour, the colour id being index + 1
+const COLOR_CODES = ["w", "u", "b", "r", "g"];
+const BASIC_LANDS = {
+  w: "Plains",
+  u: "Island",
+  b: "Swamp",
+  r: "Mountain",
+  g: "Forest"
+};
+const POOL_GROUPS = {
+  1: "White",
+  2: "Blue",
+  3: "Black",
+  4: "Red",
+  5: "Green",
+  multi: "Multicolored",
+  colorless: "Colorless",
+  land: "Lands"
+};
+
+let cardPool = null;
+// Ids of the cards in the deck being built, once for every copy
+let poolDeck = [];
+let basicLandIds = {};
+
+function setCardPool(arg) {
+  if (!arg || !cardPool || arg.id != cardPool.id) {
+    poolDeck = [];
+    basicLandIds = {};
+  }
+  cardPool = arg;
+}
+
+function getCardPool() {
+  return cardPool;
+}
+
+function isLand(grpId) {
+  return cardsDb.get(grpId).type.includes("Land");
+}
+
+function countCards(ids) {
+  let counts = {};
+  ids.forEach(id => {
+    counts[id] = (counts[id] || 0) + 1;
+  });
+  return Object.keys(counts).map(id => ({
+    id: parseInt(id),
+    quantity: counts[id]
+  }));
+}
+
+// The set most of the pool comes from
+function getPoolSet() {
+  let counts = {};
+  cardPool.cards.forEach(id => {
+    let card = cardsDb.get(id);
+    if (card) counts[card.set] = (counts[card.set] || 0) + 1;
+  });
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+}
+
+// A collectible printing of the basic land, one we own and from the set of
+// the pool when there is one; the first one by name can be a promo.
+function getBasicLandId(code) {
+  if (!basicLandIds[code]) {
+    let name = BASIC_LANDS[code];
+    let poolSet = getPoolSet();
+    let list = cardsDb.getAll();
+    let best = null;
+    let bestScore = -1;
+    Object.keys(list).forEach(key => {
+      let card = list[key];
+      if (!card || card.name != name || !card.collectible) return;
+      let score = (cards[key] > 0 ? 2 : 0) + (card.set == poolSet ? 1 : 0);
+      if (score > bestScore) {
+        best = key;
+        bestScore = score;
+      }
+    });
+    basicLandIds[code] = parseInt(best || getCardIdByName(name));
+  }
+  return basicLandIds[code];
+}
+
+function getPoolDeck() {
+  let mainDeck = countCards(poolDeck).sort(compare_cards);
+  return { name: "Pool deck", mainDeck: mainDeck, sideboard: [] };
+}
+
+// The cards of the pool that are not in the deck
+function getPoolLeft() {
+  let left = cardPool.cards.filter(id => cardsDb.get(id));
+  poolDeck.forEach(id => {
+    let index = left.indexOf(id);
+    if (index != -1) left.splice(index, 1);
+  });
+  return left;
+}
+
+function getPoolGroup(grpId) {
+  if (isLand(grpId)) return "land";
+  let colors = get_ids_colors([grpId]);
+  if (colors.length == 0) return "colorless";
+  if (colors.length > 1) return "multi";
+  return colors[0];
+}
+
+// Basic lands for the spells, split by their coloured mana symbols. Without
+// any, the lands are split evenly between the colours of the build.
+function getBasicLands(spells, count, colors) {
+  let amounts = get_deck_colors_ammount({ mainDeck: countCards(spells) });
+  let codes = COLOR_CODES.filter(code => amounts[code] > 0);
+  if (codes.length == 0) {
+    codes = colors.map(color => COLOR_CODES[color - 1]);
+    codes.forEach(code => (amounts[code] = 1));
+  }
+  let total = codes.reduce((acc, code) => acc + amounts[code], 0);
+  let lands = [];
+  codes.forEach((code, index) => {
+    // the last colour takes what the rounding left, and rounding up the
+    // first ones must not leave it less than nothing
+    let quantity =
+      index == codes.length - 1
+        ? count - lands.length
+        : Math.round((count * amounts[code]) / total);
+    quantity = Math.max(0, Math.min(quantity, count - lands.length));
+    for (let i = 0; i < quantity; i++) lands.push(getBasicLandId(code));
+  });
+  return lands;
+}
+
+// Suggests a build for every pair of colours, made of the best rated spells
+// of the pool it can cast. Builds are scored by the average rating of their
+// spells, missing ones counting as zero, less the cheap plays they lack.
+function getSuggestedBuilds() {
+  let spells = cardPool.cards.filter(id => cardsDb.get(id) && !isLand(id));
+  let builds = [];
+  for (let first = 1; first <= 5; first++) {
+    for (let second = first + 1; second <= 5; second++) {
+      let colors = [first, second];
+      let buildSpells = spells
+        .filter(id =>
+          get_ids_colors([id]).every(color => colors.includes(color))
+        )
+        .sort((a, b) => getDraftRating(b) - getDraftRating(a))
+        .slice(0, LIMITED_SPELLS);
+
+      let curve = get_deck_curve({ mainDeck: countCards(buildSpells) });
+      let cheap = [1, 2].reduce(
+        (acc, cmc) => acc + (curve[cmc] ? curve[cmc][0] : 0),
+        0
+      );
+      let rating =
+        buildSpells.reduce((acc, id) => acc + getDraftRating(id), 0) /
+        LIMITED_SPELLS;
+      let score = rating - Math.max(0, MIN_CHEAP_SPELLS - cheap) / 2;
+      builds.push({ colors, spells: buildSpells, cheap, rating, score });
+    }
+  }
+  return builds.sort((a, b) => b.score - a.score);
+}
+
+function colorsHtml(colors) {
+  return colors
+    .map(
+      color => `<div class="mana_s16 mana_${mana[color]} drafts_mana"></div>`
+    )
+    .join("");
+}
+
+function drawSuggestedBuilds(container) {
+  addCardSeparator("Suggested builds", container);
+  let buildsDiv = $('<div class="matchup_wrapper"></div>');
+  getSuggestedBuilds()
+    .slice(0, SUGGESTED_BUILDS)
+    .forEach(build => {
+      let rank = draftRanks[Math.round(build.rating)];
+      let line = $(`<div class="opponent_line">
+        <div>${colorsHtml(build.colors)}</div>
+        <div class="opponent_name">${build.spells.length} spells</div>
+        <div>Average ${rank}</div>
+        <div>${build.cheap} plays at 1-2 mana</div>
+      </div>`);
+      line.click(() => {
+        let lands = getBasicLands(build.spells, LIMITED_LANDS, build.colors);
+        poolDeck = build.spells.concat(lands);
+        openPoolBuilder();
+      });
+      buildsDiv.append(line);
+    });
+  container.append(buildsDiv);
+}
+
+function drawPoolDeck(container) {
+  let deck = getPoolDeck();
+  addCardSeparator("Deck", container, poolDeck.length);
+
+  let landsDiv = $('<div class="pool_lands"></div>');
+  COLOR_CODES.forEach(code => {
+    let button = $(
+      `<div class="button_simple button_thin">+ ${BASIC_LANDS[code]}</div>`
+    );
+    button.click(() => {
+      poolDeck.push(getBasicLandId(code));
+      openPoolBuilder();
+    });
+    landsDiv.append(button);
+  });
+  container.append(landsDiv);
+
+  let deckDiv = $(
+    '<div class="card_lists_list"><div class="cardlist"></div></div>'
+  );
+  drawDeck(deckDiv.children().first(), deck);
+  deckDiv.find(".card_tile_container").click(function() {
+    let index = poolDeck.indexOf(parseInt(this.dataset.grpId));
+    if (index != -1) poolDeck.splice(index, 1);
+    openPoolBuilder();
+  });
+  container.append(deckDiv);
+  if (poolDeck.length > 0) {
+    container.append(deckManaCurve(deck));
+  }
+
+  let exportDiv = $('<div class="pool_lands"></div>');
+  let exportArena = $('<div class="button_simple">Export to Arena</div>');
+  let exportTxt = $('<div class="button_simple">Export to .txt</div>');
+  exportDiv.append(exportArena, exportTxt);
+  container.append(exportDiv);
+
+  exportArena.click(() => {
+    ipc_send("set_clipboard", get_deck_export(getPoolDeck()));
+    pop("Copied to clipboard", 1000);
+  });
+  exportTxt.click(() => {
+    let name = getReadableEvent(cardPool.eventId);
+    ipc_send("export_txt", { str: get_deck_export_txt(getPoolDeck()), name });
+  });
+}
+
+// The cards of the pool not in the deck, by colour, with their curve
+function drawPoolLeft(container) {
+  let left = getPoolLeft();
+  addCardSeparator("Pool", container, left.length);
+  if (left.length > 0) {
+    container.append(deckManaCurve({ mainDeck: countCards(left) }));
+  }
+
+  let groups = {};
+  left.forEach(id => {
+    let group = getPoolGroup(id);
+    if (!groups[group]) groups[group] = [];
+    groups[group].push(id);
+  });
+
+  let unique = makeId(4);
+  let poolDiv = $(
+    '<div class="card_lists_list"><div class="cardlist"></div></div>'
+  );
+  let list = poolDiv.children().first();
+  Object.keys(POOL_GROUPS)
+    .filter(group => groups[group])
+    .forEach(group => {
+      addCardSeparator(POOL_GROUPS[group], list, groups[group].length);
+      countCards(groups[group])
+        .sort(compare_cards)
+        .forEach(card => {
+          let tile = addCardTile(card.id, unique, card.quantity, list);
+          $(tile).click(() => {
+            poolDeck.push(card.id);
+            openPoolBuilder();
+          });
+        });
+    });
+  container.append(poolDiv);
+}
+
+// Draws the builder of the last sealed or draft pool we were given: some
+// two colour builds to start from, the deck and the rest of the pool.
+// Clicking a card moves it between the deck and the pool.
+function openPoolBuilder() {
+  let container = $("#ux_1");
+  container.html("");
+  if (!cardPool) return;
+
+  let top = $(
+    '<div class="decklist_top"><div class="button back"></div><div class="deck_name">' +
+      getReadableEvent(cardPool.eventId) +
+      "</div></div>"
+  );
+  container.append(top);
+
+  drawSuggestedBuilds(container);
+  drawPoolDeck(container);
+  drawPoolLeft(container);
+
+  $(".back").click(() => {
+    change_background("default");
+    $(".moving_ux").animate({ left: "0px" }, 250, "easeInOutCubic");
+  });
+}
+
+module.exports = {
+  setCardPool: setCardPool,
+  getCardPool: getCardPool,
+  openPoolBuilder: openPoolBuilder
+};
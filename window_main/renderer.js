@@ -2,6 +2,7 @@
 global
   setsList,
   cardsDb,
+  DRAFT_TABLE_SIZE,
   makeId,
   timeSince,
   addCardHover,
@@ -22,6 +23,7 @@ global
   windowRenderer,
   deck_count_types,
   removeDuplicates,
+  toMMSS,
   $$
 */
 
@@ -36,15 +38,31 @@ const set_tou_state = require("./home").set_tou_state;
 const open_deck = require("./deck_details").open_deck;
 const open_decks_tab = require("./decks").open_decks_tab;
 const open_history_tab = require("./history").open_history_tab;
+const getHistoryView = require("./history").getHistoryView;
 const openExploreTab = require("./explore").openExploreTab;
 const setExploreDecks = require("./explore").setExploreDecks;
 const updateExploreCheckbox = require("./explore").updateExploreCheckbox;
 const openCollectionTab = require("./collection").openCollectionTab;
+const setCardsHistory = require("./collection").setCardsHistory;
 const openEventsTab = require("./events").openEventsTab;
 const expandEvent = require("./events").expandEvent;
 
 const open_economy_tab = require("./economy").open_economy_tab;
 const set_economy_history = require("./economy").set_economy_history;
+const { hasReplay, openReplay } = require("./replay");
+const { hasActionLogEvents, openActionLogEvents } = require("./action_log");
+const {
+  setLocalArchetypes,
+  setReclassifyPreview,
+  openArchetypesSettings
+} = require("./archetypes");
+const {
+  setDraftRatings,
+  openDraftRatingsSettings
+} = require("./draft_ratings");
+const { setCardPool } = require("./pool_builder");
+const { setWildcardPlan } = require("./wildcard_planner");
+const { drawGameTimeline } = require("./timeline");
 
 
 var orderedCardTypes = ["cre", "lan", "ins", "sor", "enc", "art", "pla"];
@@ -223,6 +241,43 @@ ipc.on("set_tags_colors", function(event, arg) {
   tags_colors = arg;
 });
 
+//
+ipc.on("set_local_archetypes", function(event, arg) {
+  setLocalArchetypes(arg);
+  if (sidebarActive == 8 && lastSettingsSection == 7) {
+    open_settings(7);
+  }
+});
+
+//
+ipc.on("set_draft_ratings", function(event, arg) {
+  setDraftRatings(arg);
+  if (sidebarActive == 8 && lastSettingsSection == 8) {
+    open_settings(8);
+  }
+});
+
+//
+ipc.on("set_wildcard_plan", function(event, arg) {
+  setWildcardPlan(arg);
+});
+
+//
+ipc.on("set_card_pool", function(event, arg) {
+  setCardPool(arg);
+  if (sidebarActive == 2 && eventsHistory.courses) {
+    openEventsTab(0);
+  }
+});
+
+//
+ipc.on("set_reclassify_preview", function(event, arg) {
+  setReclassifyPreview(arg);
+  if (sidebarActive == 8 && lastSettingsSection == 7) {
+    open_settings(7);
+  }
+});
+
 //
 ipc.on("set_db", function(event, arg) {
   try {
@@ -359,6 +414,13 @@ ipc.on("set_events", function(event, arg) {
     }
   }
 
+  // The drafts report of the history tab asks for the events too
+  if (sidebarActive == 1) {
+    if (getHistoryView() == "drafts") {
+      open_history_tab(0);
+    }
+    return;
+  }
   openEventsTab(0);
 });
 
@@ -412,6 +474,11 @@ ipc.on("set_cards", function(event, _cards, _cardsnew) {
   cardsNew = _cardsnew;
 });
 
+//
+ipc.on("set_cards_history", function(event, arg) {
+  setCardsHistory(arg);
+});
+
 //
 ipc.on("set_status", function(event, arg) {
   var mainStatus = 0;
@@ -1426,6 +1493,32 @@ function setChangesTimeline() {
   time.appendTo(cont);
 }
 
+//
+// Cards of a first lap pack that came back to us, eight picks later
+function getDraftWheeled(draft, packNumber, pickNumber) {
+  let lapPick =
+    draft["pack_" + packNumber + "pick_" + (pickNumber + DRAFT_TABLE_SIZE)];
+  return lapPick && lapPick.wheeled ? lapPick.wheeled : [];
+}
+
+// How long the pick took and, once the pack has gone around the table, what
+// the other seats took out of it since we last saw it
+function drawDraftPickInfo(cont, draftPick) {
+  if (draftPick.duration !== undefined) {
+    cont.append(
+      '<div class="draft_pick_info">Picked in ' +
+        toMMSS(draftPick.duration) +
+        "</div>"
+    );
+  }
+  if (draftPick.taken && draftPick.taken.length > 0) {
+    let takenDiv = $('<div class="draft_taken"></div>');
+    addCardSeparator("Taken by others since the last lap", takenDiv);
+    drawCardList(takenDiv, draftPick.taken);
+    cont.append(takenDiv);
+  }
+}
+
 //
 function open_draft(id, tileGrpid, set) {
   console.log("OPEN DRAFT", id, draftPosition);
@@ -1483,9 +1576,12 @@ function open_draft(id, tileGrpid, set) {
   );
   sliderInput.appendTo(slider);
 
+  drawDraftPickInfo(cont, draft[key]);
+
   var pd = $('<div class="draft_pack_container"></div>');
   pd.appendTo(cont);
 
+  let wheeled = getDraftWheeled(draft, pa, pi);
   pack.forEach(function(grpId) {
     var d = $(
       '<div style="width: ' +
@@ -1500,6 +1596,10 @@ function open_draft(id, tileGrpid, set) {
     if (grpId == pick && draftPosition % 2 == 0) {
       img.addClass("draft_card_picked");
     }
+    if (wheeled.includes(grpId)) {
+      img.addClass("draft_card_wheeled");
+      img.attr("title", "Wheeled");
+    }
     var card = cardsDb.get(grpId);
     img.attr("src", get_card_image(card));
 
@@ -1575,6 +1675,14 @@ function open_match(id) {
   if (fs.existsSync(path.join(actionLogDir, id + ".txt"))) {
     $('<div class="button_simple openLog">Action log</div>').appendTo(flc);
   }
+  if (hasActionLogEvents(id)) {
+    $('<div class="button_simple openLogEvents">Game events</div>').appendTo(
+      flc
+    );
+  }
+  if (hasReplay(id)) {
+    $('<div class="button_simple openReplay">Replay</div>').appendTo(flc);
+  }
 
   var tileGrpid = match.playerDeck.deckTileId;
   if (cardsDb.get(tileGrpid)) {
@@ -1673,12 +1781,6 @@ function open_match(id) {
 
   match.oppDeck.mainDeck.sort(compare_cards);
   match.oppDeck.sideboard.sort(compare_cards);
-  match.oppDeck.mainDeck.forEach(function(c) {
-    c.quantity = 9999;
-  });
-  match.oppDeck.sideboard.forEach(function(c) {
-    c.quantity = 9999;
-  });
   drawDeck(odl, match.oppDeck);
 
   $(
@@ -1693,6 +1795,8 @@ function open_match(id) {
 
   $("#ux_1").append(top);
   $("#ux_1").append(flc);
+  var replayDiv = $('<div class="replay_viewer"></div>');
+  $("#ux_1").append(replayDiv);
   $("#ux_1").append(fld);
 
   if (match.gameStats) {
@@ -1723,6 +1827,19 @@ function open_match(id) {
         $("#ux_1").append(sideboardDiv);
       }
 
+      if (game.turns !== undefined) {
+        $(
+          '<div class="game_summary">' + getGameSummary(game) + "</div>"
+        ).appendTo($("#ux_1"));
+      }
+
+      if (game.timeline && game.timeline.length > 0) {
+        addCardSeparator("Game " + (gameIndex + 1) + " Timeline", $("#ux_1"));
+        let timelineDiv = $('<div class="game_timeline"></div>');
+        timelineDiv.appendTo($("#ux_1"));
+        drawGameTimeline(timelineDiv, game.timeline, match);
+      }
+
       addCardSeparator("Game " + (gameIndex + 1) + " Hands Drawn", $("#ux_1"));
 
       let handsDiv = $('<div class="card_lists_list"></div>');
@@ -1911,6 +2028,14 @@ function open_match(id) {
     shell.openItem(path.join(actionLogDir, id + ".txt"));
   });
 
+  $(".openLogEvents").click(function() {
+    openActionLogEvents(replayDiv, id, match);
+  });
+
+  $(".openReplay").click(function() {
+    openReplay(replayDiv, id);
+  });
+
   $(".exportDeckPlayer").click(function() {
     var list = get_deck_export(match.playerDeck);
     ipc_send("set_clipboard", list);
@@ -1938,6 +2063,31 @@ function open_match(id) {
   });
 }
 
+// "On the play, won in 9 turns (17 - 0 life), 1 mulligan"
+function getGameSummary(game) {
+  let parts = [];
+  if (game.onThePlay !== undefined) {
+    parts.push(game.onThePlay ? "On the play" : "On the draw");
+  }
+  let result = "played";
+  if (game.win !== undefined) result = game.win ? "won" : "lost";
+  parts.push(
+    result +
+      " in " +
+      game.turns +
+      " turns (" +
+      game.playerLife +
+      " - " +
+      game.opponentLife +
+      " life)"
+  );
+  parts.push(
+    game.mulligans + (game.mulligans == 1 ? " mulligan" : " mulligans")
+  );
+  let summary = parts.join(", ");
+  return summary.charAt(0).toUpperCase() + summary.slice(1);
+}
+
 //
 function toggleVisibility(...ids) {
   ids.forEach(id => {
@@ -1981,6 +2131,8 @@ function open_settings(openSection) {
   $('<div class="settings_nav sn2">Overlay</div>').appendTo(wrap_l);
   $('<div class="settings_nav sn3">Visual</div>').appendTo(wrap_l);
   $('<div class="settings_nav sn4">Privacy</div>').appendTo(wrap_l);
+  $('<div class="settings_nav sn7">Archetypes</div>').appendTo(wrap_l);
+  $('<div class="settings_nav sn8">Draft ratings</div>').appendTo(wrap_l);
   $('<div class="settings_nav sn5">About</div>').appendTo(wrap_l);
 
   if (offlineMode) {
@@ -2063,6 +2215,41 @@ function open_settings(openSection) {
       <i>Possible variables: $Name, $Count, $SetName, $SetCode, $Collector, $Rarity, $Type, $Cmc</i>
       </div>`);
 
+  label = $('<label class="but_container_label">Replay log:</label>');
+  label.appendTo(section);
+  icd = $('<div class="input_container"></div>');
+  $(
+    '<input type="search" id="replay_path" autocomplete="off" placeholder="Log file or folder" />'
+  ).appendTo(icd);
+  icd.appendTo(label);
+
+  label = $('<label class="but_container_label">Replay until label:</label>');
+  label.appendTo(section);
+  icd = $('<div class="input_container"></div>');
+  $(
+    '<input type="search" id="replay_until" autocomplete="off" placeholder="Event.MatchCreated" />'
+  ).appendTo(icd);
+  icd.appendTo(label);
+
+  label = $('<label class="but_container_label">Replay delay (ms):</label>');
+  label.appendTo(section);
+  icd = $('<div class="input_container"></div>');
+  $(
+    '<input type="number" id="replay_speed" autocomplete="off" min="0" value="0" />'
+  ).appendTo(icd);
+  icd.appendTo(label);
+
+  label = $('<label class="check_container_but"></label>');
+  label.appendTo(section);
+  $(`<div class="button_simple replay_start">Start</div>
+    <div class="button_simple replay_pause">Pause</div>
+    <div class="button_simple replay_resume">Resume</div>
+    <div class="button_simple replay_step">Step</div>
+    <div class="button_simple replay_stop">Stop</div>`).appendTo(label);
+  section.append(`<div class="settings_note">
+      <i>Replays a saved log without MTG Arena running. Leave the label empty to replay everything; stopping or reaching the end goes back to the live log.</i>
+      </div>`);
+
   section = $('<div class="settings_section ss2"></div>');
   section.appendTo(div);
   section.append('<div class="settings_title">Overlay</div>');
@@ -2264,6 +2451,16 @@ function open_settings(openSection) {
   );
   button.appendTo(label);
 
+  //
+  section = $('<div class="settings_section ss7"></div>');
+  section.appendTo(div);
+  openArchetypesSettings(section, Object.keys(deck_tags));
+
+  //
+  section = $('<div class="settings_section ss8"></div>');
+  section.appendTo(div);
+  openDraftRatingsSettings(section);
+
   //
   section = $('<div class="settings_section ss5" style="height: 100%;"></div>');
   section.appendTo(div);
@@ -2385,6 +2582,39 @@ function open_settings(openSection) {
     ipc_send("updates_check", true);
   });
 
+  $(".replay_start").click(function() {
+    ipc_send("replay_log", {
+      path: document.getElementById("replay_path").value,
+      until: document.getElementById("replay_until").value,
+      speed: parseInt(document.getElementById("replay_speed").value) || 0
+    });
+  });
+
+  $(".replay_pause").click(function() {
+    ipc_send("replay_pause", true);
+  });
+
+  $(".replay_resume").click(function() {
+    let until = document.getElementById("replay_until").value;
+    if (until) {
+      ipc_send("replay_until", until);
+    } else {
+      ipc_send("replay_resume", true);
+    }
+  });
+
+  $(".replay_step").click(function() {
+    ipc_send("replay_step", true);
+  });
+
+  $(".replay_stop").click(function() {
+    ipc_send("replay_stop", true);
+  });
+
+  $("#replay_speed").on("change", function() {
+    ipc_send("replay_speed", parseInt(this.value) || 0);
+  });
+
   $(".settings_nav").click(function() {
     if (!$(this).hasClass("nav_selected")) {
       $(".settings_nav").each(function() {
@@ -2426,6 +2656,16 @@ function open_settings(openSection) {
         lastSettingsSection = 6;
         $(".ss6").show();
       }
+      if ($(this).hasClass("sn7")) {
+        sidebarActive = 8;
+        lastSettingsSection = 7;
+        $(".ss7").show();
+      }
+      if ($(this).hasClass("sn8")) {
+        sidebarActive = 8;
+        lastSettingsSection = 8;
+        $(".ss8").show();
+      }
     }
   });
 
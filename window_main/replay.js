@@ -0,0 +1,214 @@
+/*
+global
+  addCardSeparator,
+  drawCardList,
+  cardsDb
+*/
+const electron = require("electron");
+const fs = require("fs");
+const path = require("path");
+
+const replaysDir = path.join(
+  (electron.app || electron.remote.app).getPath("userData"),
+  "replays"
+);
+
+const REPLAY_ZONES = [
+  ["ZoneType_Battlefield", "Battlefield"],
+  ["ZoneType_Hand", "Hand"],
+  ["ZoneType_Graveyard", "Graveyard"],
+  ["ZoneType_Exile", "Exile"]
+];
+
+function replayFile(matchId) {
+  return path.join(replaysDir, matchId + ".json");
+}
+
+function hasReplay(matchId) {
+  return fs.existsSync(replayFile(matchId));
+}
+
+// Rebuilds the board from the recorded game state diffs, and returns one
+// snapshot for every turn (plus the pregame) with the log lines of that turn.
+function getReplayTurns(game) {
+  let zones = {};
+  let objects = {};
+  let life = {};
+  let turn = { turnNumber: 0 };
+  let logUsed = 0;
+  let turns = [];
+
+  const snapshot = stateIndex => {
+    let logEnd = game.log.filter(line => line.state <= stateIndex).length;
+    turns.push({
+      turn: Object.assign({}, turn),
+      zones: Object.assign({}, zones),
+      objects: Object.assign({}, objects),
+      life: Object.assign({}, life),
+      log: game.log.slice(logUsed, logEnd)
+    });
+    logUsed = logEnd;
+  };
+
+  game.states.forEach((state, index) => {
+    if (
+      state.turn &&
+      state.turn.turnNumber !== undefined &&
+      state.turn.turnNumber != turn.turnNumber
+    ) {
+      snapshot(index);
+    }
+    if (state.turn) {
+      turn = state.turn;
+    }
+    if (state.zones) {
+      state.zones.forEach(zone => (zones[zone.zoneId] = zone));
+    }
+    if (state.objects) {
+      state.objects.forEach(obj => (objects[obj.instanceId] = obj));
+    }
+    if (state.deleted) {
+      state.deleted.forEach(id => delete objects[id]);
+    }
+    if (state.life) {
+      Object.assign(life, state.life);
+    }
+  });
+  snapshot(game.states.length);
+
+  return turns;
+}
+
+// Cards of a seat in one zone type, and how many of them we never saw
+function getZoneCards(frame, zoneType, seat) {
+  let grpIds = [];
+  let hidden = 0;
+  Object.keys(frame.zones).forEach(zoneId => {
+    let zone = frame.zones[zoneId];
+    if (zone.type != zoneType) return;
+    if (zone.ownerSeatId !== undefined && zone.ownerSeatId != seat) return;
+
+    (zone.objectInstanceIds || []).forEach(id => {
+      let obj = frame.objects[id];
+      if (zone.ownerSeatId === undefined) {
+        // Shared zones, like the battlefield, go by controller
+        if (obj && obj.controllerSeatId == seat && cardsDb.get(obj.grpId)) {
+          grpIds.push(obj.grpId);
+        }
+      } else if (obj && cardsDb.get(obj.grpId)) {
+        grpIds.push(obj.grpId);
+      } else {
+        hidden++;
+      }
+    });
+  });
+  return { grpIds, hidden };
+}
+
+function drawReplaySeat(div, frame, player) {
+  let life = frame.life[player.seat];
+  addCardSeparator(
+    player.name.slice(0, -6) +
+      (life !== undefined ? " - " + life + " life" : ""),
+    div
+  );
+
+  let zonesDiv = $('<div class="card_lists_list"></div>');
+  REPLAY_ZONES.forEach(([zoneType, zoneName]) => {
+    let cards = getZoneCards(frame, zoneType, player.seat);
+    let total = cards.grpIds.length + cards.hidden;
+    let zoneDiv = $('<div class="cardlist"></div>');
+    addCardSeparator(zoneName + " (" + total + ")", zoneDiv);
+    drawCardList(zoneDiv, cards.grpIds);
+    if (cards.hidden > 0) {
+      $(
+        '<div class="replay_hidden">' + cards.hidden + " unknown</div>"
+      ).appendTo(zoneDiv);
+    }
+    zoneDiv.appendTo(zonesDiv);
+  });
+  zonesDiv.appendTo(div);
+}
+
+function drawReplayFrame(div, replay, turns, index) {
+  div.html("");
+  let frame = turns[index];
+
+  let controls = $('<div class="replay_controls"></div>');
+  let prev = $('<div class="button_simple button_thin">Previous turn</div>');
+  let next = $('<div class="button_simple button_thin">Next turn</div>');
+  let title = "Pregame";
+  if (frame.turn.turnNumber) {
+    let active =
+      frame.turn.activePlayer == replay.player.seat
+        ? replay.player
+        : replay.opponent;
+    title = "Turn " + frame.turn.turnNumber + " - " + active.name.slice(0, -6);
+  }
+  prev.appendTo(controls);
+  $('<div class="replay_title">' + title + "</div>").appendTo(controls);
+  next.appendTo(controls);
+  controls.appendTo(div);
+
+  drawReplaySeat(div, frame, replay.opponent);
+  drawReplaySeat(div, frame, replay.player);
+
+  addCardSeparator("Action log", div);
+  let logDiv = $('<div class="replay_log"></div>');
+  frame.log.forEach(line => {
+    let time = new Date(line.time);
+    let hh = ("0" + time.getHours()).slice(-2);
+    let mm = ("0" + time.getMinutes()).slice(-2);
+    let ss = ("0" + time.getSeconds()).slice(-2);
+    $(
+      `<div class="replay_log_line">${hh}:${mm}:${ss} ${line.str}</div>`
+    ).appendTo(logDiv);
+  });
+  logDiv.appendTo(div);
+
+  prev.click(() => {
+    if (index > 0) drawReplayFrame(div, replay, turns, index - 1);
+  });
+  next.click(() => {
+    if (index < turns.length - 1) {
+      drawReplayFrame(div, replay, turns, index + 1);
+    }
+  });
+}
+
+// Draws the replay viewer of a match into the given element
+function openReplay(div, matchId) {
+  let replay;
+  try {
+    replay = JSON.parse(fs.readFileSync(replayFile(matchId), "utf-8"));
+  } catch (e) {
+    div.html('<div class="replay_title">Could not read the replay.</div>');
+    return;
+  }
+  div.html("");
+
+  let gamesDiv = $('<div class="replay_controls"></div>');
+  let frameDiv = $("<div></div>");
+  replay.games.forEach((game, gameIndex) => {
+    let button = $(
+      '<div class="button_simple button_thin">Game ' +
+        (gameIndex + 1) +
+        "</div>"
+    );
+    button.click(() => {
+      drawReplayFrame(frameDiv, replay, getReplayTurns(game), 0);
+    });
+    button.appendTo(gamesDiv);
+  });
+  gamesDiv.appendTo(div);
+  frameDiv.appendTo(div);
+
+  if (replay.games.length > 0) {
+    drawReplayFrame(frameDiv, replay, getReplayTurns(replay.games[0]), 0);
+  }
+}
+
+module.exports = {
+  hasReplay: hasReplay,
+  openReplay: openReplay
+};
@@ -0,0 +1,188 @@
+/*
+global
+  hypergeometric,
+  hypergeometricSignificance,
+  selectAdd
+*/
+
+// How deep into the library the report looks, after the opening hand
+const MAX_SHUFFLE_DEPTH = 15;
+let shuffleDepth = 7;
+
+// Every game that has the library stats saved by the GameStop handler
+function getShuffleGames(matches) {
+  let games = [];
+  matches.forEach(match => {
+    if (match.type != "match" || !match.gameStats) return;
+    match.gameStats.forEach(game => {
+      if (!game || !game.libraryLands || !game.librarySize) return;
+      games.push({
+        deckId: match.playerDeck ? match.playerDeck.id : "",
+        deckName: match.playerDeck ? match.playerDeck.name : "",
+        game: game
+      });
+    });
+  });
+  return games;
+}
+
+function newShuffleStats() {
+  return { games: 0, observed: 0, expected: 0, likelihood: 0 };
+}
+
+// Compares the lands in the top `depth` cards of every game with the
+// hypergeometric expectation, overall, by number of lands and by deck.
+function getShuffleStats(games, depth) {
+  let total = newShuffleStats();
+  let decks = {};
+  let observedCounts = [];
+  let expectedCounts = [];
+  for (let lands = 0; lands <= depth; lands++) {
+    observedCounts.push(0);
+    expectedCounts.push(0);
+  }
+
+  games.forEach(({ deckId, deckName, game }) => {
+    if (game.libraryLands.length < depth) return;
+    let lands = game.libraryLands[depth - 1];
+    let expected = (depth * game.landsInLibrary) / game.librarySize;
+    let likelihood = hypergeometricSignificance(
+      lands,
+      game.librarySize,
+      depth,
+      game.landsInLibrary
+    );
+
+    if (!decks[deckId]) {
+      decks[deckId] = newShuffleStats();
+      decks[deckId].name = deckName;
+    }
+    [total, decks[deckId]].forEach(stats => {
+      stats.games++;
+      stats.observed += lands;
+      stats.expected += expected;
+      stats.likelihood += likelihood;
+    });
+
+    observedCounts[lands]++;
+    for (let k = 0; k <= depth; k++) {
+      expectedCounts[k] += hypergeometric(
+        k,
+        game.librarySize,
+        depth,
+        game.landsInLibrary
+      );
+    }
+  });
+
+  return { total, decks, observedCounts, expectedCounts };
+}
+
+function shuffleStatsRow(label, stats) {
+  let observed = (stats.observed / stats.games).toFixed(2);
+  let expected = (stats.expected / stats.games).toFixed(2);
+  let likelihood = ((stats.likelihood / stats.games) * 100).toFixed(1);
+  return `<tr><td>${label}</td><td>${stats.games}</td><td>${observed}</td>
+    <td>${expected}</td><td>${likelihood}%</td></tr>`;
+}
+
+// Observed and expected number of games for each count of lands
+function drawShuffleChart(div, shuffleStats) {
+  let curveMax = Math.max(
+    ...shuffleStats.observedCounts,
+    ...shuffleStats.expectedCounts
+  );
+  let curve = $('<div class="mana_curve"></div>');
+  let numbers = $('<div class="mana_curve_costs"></div>');
+  shuffleStats.observedCounts.forEach((observed, lands) => {
+    let expected = shuffleStats.expectedCounts[lands];
+    let observedHeight = (observed / curveMax) * 100;
+    let expectedHeight = (expected / curveMax) * 100;
+    curve.append(
+      `<div class="mana_curve_column" title="Observed: ${observed}"
+        style="height: ${observedHeight}%"></div>`
+    );
+    curve.append(
+      `<div class="mana_curve_column shuffle_expected"
+        title="Expected: ${expected.toFixed(1)}"
+        style="height: ${expectedHeight}%"></div>`
+    );
+    numbers.append(`<div class="mana_curve_column_number">${lands}</div>`);
+  });
+  div.append(curve, numbers);
+}
+
+function drawShuffleReport(div, games) {
+  div.html("");
+  let shuffleStats = getShuffleStats(games, shuffleDepth);
+  let total = shuffleStats.total;
+  if (total.games == 0) {
+    div.append(
+      '<div class="matchup_empty">No games have enough of their library recorded.</div>'
+    );
+    return;
+  }
+
+  div.append(
+    '<div class="shuffle_title">Lands in the top ' +
+      shuffleDepth +
+      " cards of the library, over " +
+      total.games +
+      " games</div>"
+  );
+  drawShuffleChart(div, shuffleStats);
+  div.append(
+    '<div class="matchup_empty">Bright columns are the games observed with each number of lands, dim columns the games expected by the hypergeometric distribution.</div>'
+  );
+
+  let table = $('<table class="opening_hands_table"></table>');
+  table.append(
+    "<tr><th>Deck</th><th>Games</th><th>Lands</th><th>Expected</th><th>Likelihood</th></tr>"
+  );
+  table.append(shuffleStatsRow("All decks", total));
+  Object.keys(shuffleStats.decks)
+    .sort((a, b) => shuffleStats.decks[b].games - shuffleStats.decks[a].games)
+    .forEach(deckId => {
+      let stats = shuffleStats.decks[deckId];
+      table.append(shuffleStatsRow(stats.name, stats));
+    });
+  div.append(table);
+  div.append(
+    '<div class="matchup_empty">Lands and Expected are averages per game. Likelihood is the average chance of a land count at least as far from the average, and should be close to 50% for a fair shuffler.</div>'
+  );
+}
+
+// Draws the shuffler fairness report of the given matches into the container
+function renderShuffleReport(container, matches) {
+  let games = getShuffleGames(matches);
+  let wrapper = $('<div class="matchup_wrapper"></div>');
+  let reportDiv = $("<div></div>");
+
+  let select = $('<select id="shuffle_depth"></select>');
+  select.append(
+    '<option value="' +
+      shuffleDepth +
+      '">Top ' +
+      shuffleDepth +
+      " cards</option>"
+  );
+  for (let depth = 1; depth <= MAX_SHUFFLE_DEPTH; depth++) {
+    if (depth == shuffleDepth) continue;
+    select.append(
+      '<option value="' + depth + '">Top ' + depth + " cards</option>"
+    );
+  }
+  wrapper.append(select);
+  wrapper.append(reportDiv);
+  $(container).append(wrapper);
+
+  selectAdd(select, depth => {
+    shuffleDepth = parseInt(depth);
+    drawShuffleReport(reportDiv, games);
+  });
+  drawShuffleReport(reportDiv, games);
+}
+
+module.exports = {
+  renderShuffleReport: renderShuffleReport
+};
@@ -0,0 +1,70 @@
+/*
+global
+  selectAdd
+*/
+const Chart = require("chart.js");
+
+const TIMELINE_METRICS = {
+  life: "Life",
+  hand: "Cards in hand",
+  lands: "Lands",
+  creatures: "Creatures"
+};
+
+function drawTimelineChart(canvas, timeline, match, metric) {
+  return new Chart(canvas.getContext("2d"), {
+    type: "line",
+    data: {
+      labels: timeline.map(snapshot => "Turn " + snapshot.turn),
+      datasets: [
+        {
+          label: match.player.name.slice(0, -6),
+          data: timeline.map(snapshot => snapshot.player[metric]),
+          borderColor: "rgba(150, 214, 159, 1)",
+          backgroundColor: "rgba(150, 214, 159, 0.2)",
+          fill: false,
+          lineTension: 0
+        },
+        {
+          label: match.opponent.name.slice(0, -6),
+          data: timeline.map(snapshot => snapshot.opponent[metric]),
+          borderColor: "rgba(221, 130, 101, 1)",
+          backgroundColor: "rgba(221, 130, 101, 0.2)",
+          fill: false,
+          lineTension: 0
+        }
+      ]
+    },
+    options: {
+      animation: false,
+      legend: { labels: { fontColor: "#FAE5D2" } },
+      scales: {
+        xAxes: [{ ticks: { fontColor: "#FAE5D2" } }],
+        yAxes: [{ ticks: { fontColor: "#FAE5D2", beginAtZero: true } }]
+      }
+    }
+  });
+}
+
+// Draws the end of turn snapshots of a game as a line chart, one line for
+// each player, for the metric picked in the select.
+function drawGameTimeline(div, timeline, match) {
+  let select = $("<select></select>");
+  Object.keys(TIMELINE_METRICS).forEach(metric => {
+    select.append(
+      '<option value="' + metric + '">' + TIMELINE_METRICS[metric] + "</option>"
+    );
+  });
+  let canvas = $('<canvas class="game_timeline_chart"></canvas>');
+  div.append(select, canvas);
+
+  let chart = drawTimelineChart(canvas[0], timeline, match, "life");
+  selectAdd(select, metric => {
+    chart.destroy();
+    chart = drawTimelineChart(canvas[0], timeline, match, metric);
+  });
+}
+
+module.exports = {
+  drawGameTimeline: drawGameTimeline
+};
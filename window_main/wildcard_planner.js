@@ -0,0 +1,296 @@
+/*
+global
+  addCardSeparator,
+  addCardTile,
+  cardsDb,
+  change_background,
+  decks,
+  economyHistory,
+  get_wc_missing,
+  ipc_send,
+  makeId,
+  orderedCardRarities,
+  pop,
+  rarityBooster
+*/
+const { parseArchetypeCards } = require("./archetypes");
+
+// The decks we want to build, with the weighed cost they had when added
+let wildcardPlan = [];
+
+function setWildcardPlan(arg) {
+  wildcardPlan = arg || [];
+}
+
+function getOwnedWildcards() {
+  return {
+    common: economyHistory.wcCommon || 0,
+    uncommon: economyHistory.wcUncommon || 0,
+    rare: economyHistory.wcRare || 0,
+    mythic: economyHistory.wcMythic || 0
+  };
+}
+
+// Copies of each card the deck needs, by name so that decks using other
+// printings of a card share it
+function getDeckNeeds(deck) {
+  let needs = {};
+  deck.mainDeck.concat(deck.sideboard || []).forEach(card => {
+    let dbCard = cardsDb.get(card.id);
+    if (!dbCard || !orderedCardRarities.includes(dbCard.rarity)) return;
+    if (!needs[dbCard.name]) {
+      needs[dbCard.name] = { id: card.id, quantity: 0 };
+    }
+    // no deck plays more than four copies, whatever the sideboard adds
+    needs[dbCard.name].quantity = Math.min(
+      4,
+      needs[dbCard.name].quantity + card.quantity
+    );
+  });
+  return needs;
+}
+
+// The cards left to craft for a deck, besides the ones already crafted
+// for other decks of the plan
+function getCraftList(deck, crafted = {}) {
+  let needs = getDeckNeeds(deck);
+  let craft = [];
+  Object.keys(needs).forEach(name => {
+    let need = needs[name];
+    let quantity =
+      get_wc_missing(need.id, need.quantity) - (crafted[name] || 0);
+    if (quantity > 0) {
+      craft.push({ name: name, id: need.id, quantity: quantity });
+    }
+  });
+  return craft;
+}
+
+function getCraftCost(craft) {
+  let cost = { common: 0, uncommon: 0, rare: 0, mythic: 0 };
+  craft.forEach(card => {
+    cost[cardsDb.get(card.id).rarity] += card.quantity;
+  });
+  return cost;
+}
+
+// Wildcards of each rarity weigh as much as the boosters it takes to get them
+function weighCost(cost) {
+  return orderedCardRarities.reduce(
+    (acc, rarity) => acc + cost[rarity] * rarityBooster[rarity],
+    0
+  );
+}
+
+function canAfford(wildcards, cost) {
+  return orderedCardRarities.every(rarity => cost[rarity] <= wildcards[rarity]);
+}
+
+// Orders the decks so the most of them are completed soonest. Each step
+// takes the deck cheapest to finish after the cards crafted in the steps
+// before, preferring the ones the wildcards left can already pay for.
+function getCraftingPlan() {
+  let wildcards = getOwnedWildcards();
+  let crafted = {};
+  let left = wildcardPlan.slice();
+  let steps = [];
+  while (left.length > 0) {
+    let options = left.map(deck => {
+      let craft = getCraftList(deck, crafted);
+      let cost = getCraftCost(craft);
+      let affordable = canAfford(wildcards, cost);
+      return { deck, craft, cost, affordable, weight: weighCost(cost) };
+    });
+    options.sort((a, b) => b.affordable - a.affordable || a.weight - b.weight);
+
+    let step = options[0];
+    orderedCardRarities.forEach(rarity => {
+      wildcards[rarity] -= step.cost[rarity];
+    });
+    step.wildcardsLeft = Object.assign({}, wildcards);
+    step.craft.forEach(card => {
+      crafted[card.name] = (crafted[card.name] || 0) + card.quantity;
+    });
+    steps.push(step);
+    left.splice(left.indexOf(step.deck), 1);
+  }
+  return steps;
+}
+
+function costHtml(cost, owned) {
+  return orderedCardRarities
+    .map(rarity => {
+      let count = (owned ? owned[rarity] + "/" : "") + cost[rarity];
+      return `<div title="${rarity}" class="wc_explore_cost wc_${rarity}">${count}</div>`;
+    })
+    .join("");
+}
+
+function savePlan(plan) {
+  wildcardPlan = plan;
+  ipc_send("save_wildcard_plan", wildcardPlan);
+}
+
+function getOwnDeck(id) {
+  return (decks || []).find(deck => deck.id == id);
+}
+
+// Our own decks keep their id in the plan, so they are read again each time
+// the planner opens and changes to them show up in the plan.
+function refreshPlanDecks() {
+  let changed = false;
+  wildcardPlan.forEach(entry => {
+    let deck = entry.deckId && getOwnDeck(entry.deckId);
+    if (!deck) return;
+    let sideboard = deck.sideboard || [];
+    if (
+      entry.name != deck.name ||
+      JSON.stringify(entry.mainDeck) != JSON.stringify(deck.mainDeck) ||
+      JSON.stringify(entry.sideboard) != JSON.stringify(sideboard)
+    ) {
+      entry.name = deck.name;
+      entry.mainDeck = deck.mainDeck;
+      entry.sideboard = sideboard;
+      changed = true;
+    }
+  });
+  if (changed) savePlan(wildcardPlan);
+}
+
+// Adds a deck to the plan, or replaces the one with its id or name
+function addPlanDeck(deck) {
+  let entry = {
+    id: deck.id || makeId(6),
+    name: deck.name,
+    mainDeck: deck.mainDeck,
+    sideboard: deck.sideboard || [],
+    date: new Date()
+  };
+  if (deck.id && getOwnDeck(deck.id)) {
+    entry.deckId = deck.id;
+  }
+  entry.startWeight = weighCost(getCraftCost(getCraftList(entry)));
+  let plan = wildcardPlan.filter(
+    item => item.id != entry.id && item.name != entry.name
+  );
+  savePlan(plan.concat([entry]));
+  pop("Added " + deck.name + " to the wildcard planner", 2000);
+}
+
+// How much of the cost a deck had when added we have collected since
+function getPlanProgress(deck) {
+  if (!deck.startWeight) return 100;
+  let weight = weighCost(getCraftCost(getCraftList(deck)));
+  return Math.round(Math.max(0, 1 - weight / deck.startWeight) * 100);
+}
+
+function drawPlanStep(div, step, index) {
+  // wildcards left below zero are the ones missing to get this far
+  let short = orderedCardRarities
+    .filter(rarity => step.wildcardsLeft[rarity] < 0)
+    .map(rarity => -step.wildcardsLeft[rarity] + " " + rarity);
+  let status = "Complete";
+  if (short.length > 0) {
+    status = "Needs " + short.join(", ") + " more";
+  } else if (step.weight > 0) {
+    status = "Can be crafted now";
+  }
+  let progress = getPlanProgress(step.deck);
+  let added = new Date(step.deck.date).toDateString();
+  let line = $(`<div class="opponent_line">
+    <div>${index + 1}.</div>
+    <div class="opponent_name">${step.deck.name}</div>
+    <div class="wildcard_plan_cost">${costHtml(step.cost)}</div>
+    <div>${status}</div>
+    <div title="Collected since ${added}">${progress}%</div>
+    <div class="button_simple button_thin">Remove</div>
+  </div>`);
+
+  let unique = makeId(4);
+  let cardsDiv = $('<div class="cardlist" style="display: none;"></div>');
+  step.craft.forEach(card => {
+    addCardTile(card.id, unique, card.quantity, cardsDiv);
+  });
+  line.click(() => cardsDiv.toggle());
+  line.find(".button_simple").click(evt => {
+    evt.stopPropagation();
+    savePlan(wildcardPlan.filter(deck => deck.id != step.deck.id));
+    openWildcardPlanner();
+  });
+  div.append(line, cardsDiv);
+}
+
+function drawImportForm(container) {
+  addCardSeparator("Add a deck list", container);
+  let nameInput = $(
+    '<div class="input_container"><input type="search" autocomplete="off" placeholder="Deck name" /></div>'
+  );
+  let listInput = $(
+    '<textarea class="archetype_cards" spellcheck="false" placeholder="4 Llanowar Elves (DAR) 168"></textarea>'
+  );
+  let add = $('<div class="button_simple">Add</div>');
+  container.append(nameInput, listInput, add);
+
+  add.click(() => {
+    let name = nameInput.find("input").val();
+    let parsed = parseArchetypeCards(listInput.val());
+    if (name == "") {
+      pop("The deck needs a name", 2000);
+    } else if (parsed.unknown.length > 0) {
+      pop("Unknown cards: " + parsed.unknown.join(", "), 3000);
+    } else if (parsed.cards.length == 0) {
+      pop("The list has no cards", 2000);
+    } else {
+      addPlanDeck({ name: name, mainDeck: parsed.cards, sideboard: [] });
+      openWildcardPlanner();
+    }
+  });
+}
+
+// Draws the decks we want to build in the order to craft them, with the
+// wildcards each one takes and what we need for all of them together.
+function openWildcardPlanner() {
+  refreshPlanDecks();
+  let container = $("#ux_1");
+  container.html("");
+
+  let top = $(
+    '<div class="decklist_top"><div class="button back"></div><div class="deck_name">Wildcard planner</div></div>'
+  );
+  container.append(top);
+
+  let wrapper = $('<div class="matchup_wrapper"></div>');
+  container.append(wrapper);
+  let owned = getOwnedWildcards();
+  let steps = getCraftingPlan();
+  let total = { common: 0, uncommon: 0, rare: 0, mythic: 0 };
+  steps.forEach(step => {
+    orderedCardRarities.forEach(rarity => {
+      total[rarity] += step.cost[rarity];
+    });
+  });
+  wrapper.append(`<div class="opponent_line">
+    <div class="opponent_name">Wildcards you have/need for every deck</div>
+    <div class="wildcard_plan_cost">${costHtml(total, owned)}</div>
+  </div>`);
+
+  addCardSeparator("Crafting order", wrapper);
+  if (steps.length == 0) {
+    wrapper.append(
+      '<div class="matchup_empty">Add decks from their details or paste a list below.</div>'
+    );
+  }
+  steps.forEach((step, index) => drawPlanStep(wrapper, step, index));
+  drawImportForm(wrapper);
+
+  $(".back").click(() => {
+    change_background("default");
+    $(".moving_ux").animate({ left: "0px" }, 250, "easeInOutCubic");
+  });
+}
+
+module.exports = {
+  setWildcardPlan: setWildcardPlan,
+  addPlanDeck: addPlanDeck,
+  openWildcardPlanner: openWildcardPlanner
+};
@@ -8,10 +8,12 @@ global
   compare_chances,
   compare_cards,
   get_ids_colors,
+  getCardDraftRating,
   compare_draft_cards,
   addCardTile,
   draftRanks,
-  cardsDb
+  cardsDb,
+  timeSince
 */
 const electron = require("electron");
 const { webFrame, remote } = require("electron");
@@ -49,6 +51,7 @@ let actionLog = [];
 
 let currentDeck = null;
 let cards = {};
+let draftRatings = {};
 let mana = {
   0: "",
   1: "white",
@@ -244,6 +247,7 @@ ipc.on("set_settings", function(event, settings) {
   $(".top").css("display", "");
   $(".overlay_deckname").css("display", "");
   $(".overlay_deckcolors").css("display", "");
+  $(".overlay_opponent_history").css("display", "");
   $(".overlay_separator").css("display", "");
   $(".overlay_decklist").css("display", "");
   $(".overlay_clock_container").css("display", "");
@@ -251,6 +255,7 @@ ipc.on("set_settings", function(event, settings) {
   $(".overlay_draft_container").attr("style", "");
   $(".overlay_deckname").attr("style", "");
   $(".overlay_deckcolors").attr("style", "");
+  $(".overlay_opponent_history").attr("style", "");
   $(".overlay_separator").attr("style", "");
 
   if (!settings.overlay_top) {
@@ -262,6 +267,7 @@ ipc.on("set_settings", function(event, settings) {
   if (!settings.overlay_title) {
     hideDiv(".overlay_deckname");
     hideDiv(".overlay_deckcolors");
+    hideDiv(".overlay_opponent_history");
     hideDiv(".overlay_separator");
   }
   if (!settings.overlay_deck) {
@@ -293,6 +299,29 @@ ipc.on("set_opponent", function(event, arg) {
   $(".top_username").html(oppName);
 });
 
+//
+ipc.on("set_opponent_history", function(event, arg) {
+  let div = $(".overlay_opponent_history");
+  if (!arg) {
+    div.html("").attr("title", "");
+    return;
+  }
+
+  let times = arg.matches > 1 ? arg.matches + " times" : "once";
+  let text = "Met " + times + " (" + arg.wins + ":" + arg.losses + ")";
+  if (arg.last) {
+    text += ", " + timeSince(new Date(arg.last.date)) + " ago";
+    if (arg.last.archetype && arg.last.archetype != "-") {
+      text += " on " + arg.last.archetype;
+    }
+  }
+  let cardNames = (arg.last ? arg.last.cards : [])
+    .map(card => cardsDb.get(card.id))
+    .filter(card => card)
+    .map(card => card.name);
+  div.html(text).attr("title", cardNames.join("\n"));
+});
+
 //
 ipc.on("set_opponent_rank", function(event, rank, title) {
   $(".top_rank")
@@ -374,6 +403,16 @@ ipc.on("set_deck", function(event, arg) {
       return;
     }
 
+    if (deckMode == 5) {
+      drawOppDeckPrediction(arg);
+      return;
+    }
+
+    if (deckMode == 6) {
+      drawOppZones(arg);
+      return;
+    }
+
     if (arg.name !== null) {
       if (deckMode == 3) {
         $('<div class="overlay_archetype"></div>').insertAfter(
@@ -412,8 +451,7 @@ ipc.on("set_deck", function(event, arg) {
     } else {
       var deckSize = 0;
       arg.mainDeck.forEach(function(card) {
-        if (deckMode == 3) deckSize++;
-        else deckSize += card.quantity;
+        deckSize += card.quantity;
       });
 
       deckListDiv.append(
@@ -534,6 +572,14 @@ ipc.on("set_draft_cards", function(event, draft) {
   setDraft(currentDraft.packNumber, currentDraft.pickNumber);
 });
 
+//
+ipc.on("set_draft_ratings", function(event, arg) {
+  draftRatings = arg || {};
+  if (overlayMode == 1 && currentDraft) {
+    setDraft(packN, pickN);
+  }
+});
+
 //
 ipc.on("set_turn", function(
   event,
@@ -619,14 +665,11 @@ function setDraft(_packN = -1, _pickN = -1) {
       );
     });
 
-    draftPack.sort(compare_draft_picks);
+    let advice = getDraftAdvice(draftPack, getDraftPicksBefore(packN, pickN));
+    draftPack.sort((a, b) => advice[b].score - advice[a].score);
 
-    draftPack.forEach(function(grpId) {
-      try {
-        var rank = cardsDb.get(grpId).rank;
-      } catch (e) {
-        var rank = 0;
-      }
+    draftPack.forEach(function(grpId, index) {
+      let rank = advice[grpId].rating;
 
       var od = $(".overlay_decklist");
       var cont = $('<div class="overlay_card_quantity"></div>');
@@ -648,6 +691,15 @@ function setDraft(_packN = -1, _pickN = -1) {
 
       cont.appendTo(od);
       let tile = addCardTile(grpId, "a", draftRanks[rank], od);
+      tile.title =
+        "Rating " +
+        draftRanks[rank] +
+        ", colour fit " +
+        Math.round(advice[grpId].fit * 100) +
+        "%";
+      if (index == 0) {
+        tile.classList.add("overlay_draft_suggested");
+      }
       if (grpId == pick) {
         tile.style.backgroundColor = "rgba(250, 229, 210, 0.66)";
       }
@@ -655,19 +707,121 @@ function setDraft(_packN = -1, _pickN = -1) {
   }
 }
 
-function compare_logs(a, b) {
-  if (a.time < b.time) return -1;
-  if (a.time > b.time) return 1;
-  return 0;
+// Cards we picked before the given pick, from the recorded picks
+function getDraftPicksBefore(pack, pick) {
+  let picks = [];
+  Object.keys(currentDraft).forEach(key => {
+    let match = key.match(/^pack_(\d+)pick_(\d+)$/);
+    if (!match) return;
+    let keyPack = parseInt(match[1]);
+    let keyPick = parseInt(match[2]);
+    if (keyPack < pack || (keyPack == pack && keyPick < pick)) {
+      picks.push(currentDraft[key].pick);
+    }
+  });
+  return picks;
 }
 
-function compare_draft_picks(a, b) {
-  var arank = cardsDb.get(a).rank;
-  var brank = cardsDb.get(b).rank;
+// Scores every card of the pack by its rating plus a bonus of up to one
+// grade letter (three steps) for fitting the colours we picked so far. The
+// bonus grows with the number of picks, as early on colours are still open.
+function getDraftAdvice(pack, picks) {
+  let colorCounts = {};
+  let maxCount = 0;
+  picks.forEach(grpId => {
+    get_ids_colors([grpId]).forEach(color => {
+      colorCounts[color] = (colorCounts[color] || 0) + 1;
+      maxCount = Math.max(maxCount, colorCounts[color]);
+    });
+  });
+  let commitment = Math.min(picks.length, 15) / 15;
+
+  let advice = {};
+  pack.forEach(grpId => {
+    let colors = get_ids_colors([grpId]);
+    let fit = 1;
+    if (colors.length == 0) {
+      // colourless cards go in any deck, but do not push us into one either
+      fit = 0.5;
+    } else if (maxCount > 0) {
+      fit = Math.min(
+        ...colors.map(color => (colorCounts[color] || 0) / maxCount)
+      );
+    }
+    let rating = getCardDraftRating(grpId, draftRatings);
+    advice[grpId] = { rating, fit, score: rating + 3 * commitment * fit };
+  });
+  return advice;
+}
+
+//
+function drawOppDeckPrediction(arg) {
+  $(".overlay_deckname").html(
+    "Predicted for " + (arg.name ? arg.name.slice(0, -6) : "opponent")
+  );
+  let deckListDiv = $(".overlay_decklist");
 
-  if (arank > brank) return -1;
-  if (arank < brank) return 1;
+  if (!arg.archetypes || arg.archetypes.length == 0) {
+    deckListDiv.append(
+      '<div class="chance_title">Not enough cards seen yet</div>'
+    );
+    return;
+  }
 
+  deckListDiv.append('<div class="card_tile_separator">Archetypes</div>');
+  arg.archetypes.slice(0, 5).forEach(function(arch) {
+    deckListDiv.append(
+      '<div class="chance_title">' +
+        arch.tag +
+        ": " +
+        arch.confidence +
+        "%</div>"
+    );
+  });
+
+  deckListDiv.append(
+    '<div class="card_tile_separator">Likely unseen cards</div>'
+  );
+  arg.likelyCards.forEach(function(card) {
+    addCardTile(card.id, "a", card.chance + "%", deckListDiv);
+  });
+}
+
+// Cards of the opponent by the zone they are in, with the copies seen
+function drawOppZones(arg) {
+  $(".overlay_deckname").html(
+    "Seen from " + (arg.name ? arg.name.slice(0, -6) : "opponent")
+  );
+  get_deck_colors(arg).forEach(function(color) {
+    $(".overlay_deckcolors").append(
+      '<div class="mana_s20 mana_' + mana[color] + '"></div>'
+    );
+  });
+  let deckListDiv = $(".overlay_decklist");
+
+  let seen = arg.mainDeck.reduce((acc, card) => acc + card.quantity, 0);
+  deckListDiv.append('<div class="chance_title">' + seen + " cards seen</div>");
+
+  arg.zones.forEach(function(zone) {
+    if (zone.cards.length == 0) return;
+    let count = zone.cards.reduce((acc, card) => acc + card.quantity, 0);
+    deckListDiv.append(
+      '<div class="card_tile_separator">' +
+        zone.title +
+        " (" +
+        count +
+        ")</div>"
+    );
+    zone.cards.sort(compare_cards);
+    zone.cards.forEach(function(card) {
+      addCardTile(card.id, "a", card.quantity, deckListDiv);
+    });
+  });
+}
+
+function compare_logs(a, b) {
+  if (a.time < b.time) return -1;
+  if (a.time > b.time) return 1;
   return 0;
 }
 
@@ -773,7 +927,7 @@ $(document).ready(function() {
     changedMode = true;
     deckMode -= 1;
     if (deckMode < 0) {
-      deckMode = 4;
+      deckMode = 6;
     }
     ipc_send("set_deck_mode", deckMode);
   });
@@ -781,7 +935,7 @@ $(document).ready(function() {
   $(".deck_next").click(function() {
     changedMode = true;
     deckMode += 1;
-    if (deckMode > 4) {
+    if (deckMode > 6) {
       deckMode = 0;
     }
     ipc_send("set_deck_mode", deckMode);